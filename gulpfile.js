@@ -40,7 +40,7 @@ function validateFiles(files, lcovOnly) {
 		.pipe($.eslint())
 		.pipe($.eslint.format())
 		.pipe($.eslint.failAfterError())
-		.pipe($.filter(['*', '!test/*']))
+		.pipe($.filter(['**', '!test/**']))
 		.pipe($.istanbul())
 		.pipe($.istanbul.hookRequire())
 	)
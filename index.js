@@ -1,113 +1,443 @@
 'use strict';
 
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const _ = require('lodash');
-const esprintf = require('esprintf');
 const util = require('util');
 
+const ArgumentParserError = require('./lib/ArgumentParserError');
+const completion = require('./lib/completion');
+const configFiles = require('./lib/configFiles');
+const docs = require('./lib/docs');
+const help = require('./lib/help');
+const jsonSchema = require('./lib/jsonSchema');
+const Prompter = require('./lib/prompt');
+const suggest = require('./lib/suggest');
+const types = require('./lib/types');
+const utils = require('./lib/utils');
+
+const fError = utils.fError;
+const pError = utils.pError;
+const trimQuotes = utils.trimQuotes;
+
 /**
- * Trims quotes off the passed string.
+ * Splits a list value at the separator, separators inside single or double quotes are kept.
+ * The quotes are kept as well and removed from the items later on.
  * @param  {string} str
+ * @param  {string} separator
+ * @return {Array.<string>}
+ */
+function splitList(str, separator) {
+	const ret = [];
+	let current = '';
+	let quote = null;
+	for (let i = 0; i < str.length; i++) {
+		const char = str[i];
+		if (quote) {
+			quote = char === quote ? null : quote;
+		} else if (char === '\'' || char === '"') {
+			quote = char;
+		} else if (str.substr(i, separator.length) === separator) {
+			ret.push(current);
+			current = '';
+			i += separator.length - 1;
+			continue;
+		}
+		current += char;
+	}
+	ret.push(current);
+	return ret;
+}
+
+/**
+ * Describes the item constraints of an array config for the help, e.g. ', 1 to 3 items, unique'.
+ * @param  {Object} conf
+ * @return {string}
+ */
+function describeItems(conf) {
+	let ret = '';
+	const hasMin = conf.minItems !== undefined;
+	const hasMax = conf.maxItems !== undefined;
+	const count = hasMax ? conf.maxItems : conf.minItems;
+	if (hasMin && hasMax) {
+		ret += `, ${conf.minItems} to ${conf.maxItems} items`;
+	} else if (hasMin || hasMax) {
+		ret += `, ${hasMin ? 'at least' : 'at most'} ${count} ${count === 1 ? 'item' : 'items'}`;
+	}
+	if (conf.unique) {
+		ret += ', unique';
+	}
+	if (conf.separator !== ',') {
+		ret += `, separated by '${conf.separator}'`;
+	}
+	return ret;
+}
+
+/**
+ * Formats the default value of a config for the help, map defaults are listed as KEY=VALUE pairs.
+ * @param  {Object} conf
+ * @return {*}
+ */
+function formatDefault(conf) {
+	if (conf.type !== 'map') {
+		return conf.default;
+	}
+	return _.map(conf.default, (value, key) => key + '=' + value).join(',');
+}
+
+/**
+ * Throws the error for a required flag or positional argument that was not set
+ * @param {string}  name
+ * @param {boolean} positional
+ */
+function missingRequired(name, positional) {
+	pError(
+		{code: 'MISSING_REQUIRED', flag: name},
+		'%s \'%s\' is required but was not set',
+		positional ? 'Positional argument' : 'Flag',
+		name
+	);
+}
+
+/**
+ * Checks a requiredIf/requiredUnless condition, either a function of the values
+ * or an object of flag names and the values they must have, true meaning the flag is set.
+ * @param  {Function|Object}   condition
+ * @param  {Object.<string, *>} values
+ * @return {boolean}
+ */
+function matchesCondition(condition, values) {
+	if (typeof condition === 'function') {
+		return Boolean(condition(values));
+	}
+	return _.every(condition, (expected, name) => {
+		const isSet = _.has(values, name) && values[name] !== false;
+		if (typeof expected === 'boolean') {
+			return isSet === expected;
+		}
+		return Array.isArray(expected) ? expected.indexOf(values[name]) > -1 : values[name] === expected;
+	});
+}
+
+/**
+ * Describes a requiredIf/requiredUnless condition for messages and the help, e.g. "'auth' is 'basic'".
+ * @param  {Function|Object} condition
+ * @return {string} Empty for functions
+ */
+function describeCondition(condition) {
+	return _.map(typeof condition === 'function' ? {} : condition, (expected, name) => {
+		if (typeof expected === 'boolean') {
+			return `'${name}' is ${expected ? 'set' : 'not set'}`;
+		}
+		if (Array.isArray(expected)) {
+			return `'${name}' is one of '${expected.join('\', \'')}'`;
+		}
+		return `'${name}' is '${expected}'`;
+	}).join(' and ');
+}
+
+/**
+ * Returns the name of the running script, used as program name in the generated help and scripts.
+ * Falls back to the name of the executable when there is no script, e.g. for node -e or the REPL.
+ * @return {string}
+ */
+function defaultProgramName() {
+	return path.basename(process.argv[1] || process.execPath);
+}
+
+/**
+ * Resolves a path through symlinks, the resolved path if it does not exist.
+ * @param  {string} file
+ * @return {string}
+ */
+function realPath(file) {
+	try {
+		return fs.realpathSync(file);
+	} catch (error) {
+		return path.resolve(file);
+	}
+}
+
+/**
+ * Types whose values are paths, the path attribute of a flag configures their checks
+ * @type {Array.<string>}
+ */
+const pathTypes = ['file', 'path', 'directory', 'outputFile'];
+
+/**
+ * Returns the type of the values of a config, the subType for arrays and maps.
+ * @param  {Object} entry
+ * @return {string}
+ */
+function valueType(entry) {
+	return entry.type === 'array' || entry.type === 'map' ? entry.subType : entry.type;
+}
+
+/**
+ * Checks whether a single value of a config is parsed into an array, like a path glob.
+ * @param  {Object} entry
+ * @return {boolean}
+ */
+function expandsToArray(entry) {
+	return entry.type === 'array' || entry.type === 'path' && Boolean(entry.path && entry.path.glob);
+}
+
+/**
+ * First match group is the long flag name, nested flags are separated by dots
+ * Second match group is the value attached using '='
+ * @type {RegExp}
+ */
+const longFlagRegex = /^--([\w_][\w_.-]*)(?:=([\s\S]*))?$/i;
+
+/**
+ * First match group is one or more short flags, possibly followed by an attached value
+ * @type {RegExp}
+ */
+const shortFlagRegex = /^-(\w[\s\S]*)$/i;
+
+/**
+ * Splits a command line string into arguments the way a POSIX shell would.
+ * Handles single and double quotes, backslash escapes and empty arguments.
+ * @param  {string} line The command line string
+ * @return {Array.<string>}
+ */
+function tokenize(line) {
+	const args = [];
+	let current = '';
+	let inArg = false;
+	let quote = null;
+
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (quote === '\'') {
+			if (char === '\'') {
+				quote = null;
+			} else {
+				current += char;
+			}
+		} else if (quote === '"') {
+			if (char === '"') {
+				quote = null;
+			} else if (char === '\\' && i + 1 < line.length && '\\"$`\n'.indexOf(line[i + 1]) > -1) {
+				i++;
+				//escaped newlines are line continuations
+				if (line[i] !== '\n') {
+					current += line[i];
+				}
+			} else {
+				current += char;
+			}
+		} else if (char === '\'' || char === '"') {
+			quote = char;
+			inArg = true;
+		} else if (char === '\\' && i + 1 < line.length) {
+			i++;
+			if (line[i] !== '\n') {
+				current += line[i];
+				inArg = true;
+			}
+		} else if (/\s/.test(char)) {
+			if (inArg) {
+				args.push(current);
+				current = '';
+				inArg = false;
+			}
+		} else {
+			current += char;
+			inArg = true;
+		}
+	}
+
+	if (quote) {
+		pError({code: 'UNTERMINATED_QUOTE', value: line}, 'Unterminated %s quote in command line', quote);
+	}
+	if (inArg) {
+		args.push(current);
+	}
+	return args;
+}
+
+/**
+ * Finds the key of a config file section that sets the given flag.
+ * Keys may be written like the flag ('dryRun'), kebab or snake case ('dry-run', 'DRY_RUN') or like its env var.
+ * @param  {Object} section The config file section
+ * @param  {string} flag    The name of the flag
+ * @param  {Object} entry   The corresponding flag config object for the flag.
+ * @return {Array.<string>|undefined} The path of the key
+ */
+function findConfigKey(section, flag, entry) {
+	const parts = flag.split('.');
+	const name = parts.pop();
+	const ret = [];
+	//nested flags are read from nested objects, e.g. {"server": {"port": 80}}
+	const parent = parts.reduce((curr, part) => {
+		const key = _.find(_.keys(curr), key =>
+			(key === part || _.camelCase(key) === part) && _.isPlainObject(curr[key])
+		);
+		ret.push(key);
+		return key === undefined ? undefined : curr[key];
+	}, section);
+	const key = _.find(_.keys(parent), key =>
+		(key === name || _.camelCase(key) === name || key === entry.env) &&
+		(entry.type === 'map' || !_.isPlainObject(parent[key]))
+	);
+	return key === undefined ? undefined : ret.concat(key);
+}
+
+/**
+ * Converts the name of a flag into the name that is typed, e.g. 'server.maxConnections' => 'server.max-connections'.
+ * @param  {string} name
  * @return {string}
  */
-function trimQuotes(str) {
-	return str.replace(/^(['"])(.*?)\1$/, '$2');
+function toPrintName(name) {
+	return name.split('.').map(part => _.kebabCase(part)).join('.');
+}
+
+/**
+ * Replaces flags with properties by a flag for every property, named like the path, e.g. 'server.port'.
+ * The properties inherit global, hidden and section.
+ * @param  {Object} config The flag configs, modified in place
+ */
+function flattenProperties(config) {
+	_.forEach(_.keys(config), name => {
+		const entry = config[name];
+		if (!entry || entry.properties === undefined) {
+			return;
+		}
+		if (!_.isPlainObject(entry.properties) || _.isEmpty(entry.properties)) {
+			fError('Invalid argument to \'properties\' of flag %s, must be an object of flag configs', name);
+		}
+		const inherited = _.pick(entry, ['global', 'hidden', 'section']);
+		const children = _.mapValues(entry.properties, child => _.defaults({}, child, inherited));
+		flattenProperties(children);
+		delete config[name];
+		_.forEach(children, (child, key) => {
+			config[name + '.' + key] = child;
+		});
+	});
+}
+
+/**
+ * Moves the values of nested flags into nested objects, e.g. {'server.port': 80} => {server: {port: 80}}.
+ * @param  {Object.<string, *>} values Modified in place
+ */
+function nestValues(values) {
+	_.keys(values).filter(name => name.indexOf('.') > -1).forEach(name => {
+		_.set(values, name.split('.'), values[name]);
+		delete values[name];
+	});
 }
 
 /**
- * Utility function that throws a string formatted error
+ * Whether a flag expects a value, boolean and count flags are switches.
+ * @param  {Object} entry The corresponding flag config object for the flag.
+ * @return {boolean}
  */
-function fError() {
-	throw new Error(util.format.apply(undefined, arguments));
+function takesValue(entry) {
+	return entry.type !== 'boolean' && entry.type !== 'count';
 }
 
 /**
- * First match groups is the long flag indicator
- * Second match group is flag name
- * Third match group is the value of the flag
+ * Valid names for long flags and their aliases
+ * @type {RegExp}
+ */
+const flagRegex = /^[\w_][\w_-]*$/i;
+
+/**
+ * Valid names for subcommands
+ * @type {RegExp}
+ */
+const commandRegex = /^[\w_][\w_-]*$/i;
+
+/**
+ * Valid names for positional arguments, variadic arguments end with '...'
  * @type {RegExp}
  */
-const cmdLineRegex = /(?:(--?)([\w_][\w_-]*))|((?:["'].*?["']|[^"',=\s]+)(?:,(?:["'].*?["']|[^'',\s]+))*)/ig;
+const positionalRegex = /^([\w_][\w_-]*)(\.\.\.)?$/i;
 
 /**
  * @constructor
  * @param {string} description The program description to be displayed when using help.
  * @param {Object} config      The command line config parameters, please refer to the examles and/or the readme
+ * @param {Object} [options]   Parser wide options, please refer to the readme
  */
 
 module.exports = class ArgumentParser {
-	constructor(description, config) {
+	constructor(description, config, options) {
 		this.config = config;
 		this.description = description || '';
+		this.options = options || {};
 
 		config.help = {
 			type: 'boolean',
-			description: 'Show the help'
+			description: 'Show the help',
+			negatable: false
 		};
+		//flags added by the parser, they are not read from environment variables and config files
+		this.builtInFlags = ['help'];
+
+		const version = this.options.version;
+		if (version !== undefined && version !== true && typeof version !== 'string') {
+			fError('Invalid argument to \'version\', must be a string or true');
+		}
+		if (version && !config.version) {
+			config.version = {
+				type: 'boolean',
+				description: 'Show the version',
+				negatable: false
+			};
+			this.builtInFlags.push('version');
+		}
+
+		if (typeof this.options.configFile === 'string') {
+			this.options.configFile = {
+				name: this.options.configFile
+			};
+		}
+		const configFlag = this.options.configFile && this.options.configFile.flag !== false &&
+			(this.options.configFile.flag || 'config');
+		if (configFlag && !config[configFlag]) {
+			config[configFlag] = {
+				type: 'string',
+				description: 'Path to a config file',
+				global: true
+			};
+		}
+
+		const ownTypes = this.options.types;
+		this.options.types = {};
+		_.forEach(ownTypes, (type, name) => types.register(this.options.types, name, type));
 
-		const flagRegex = /^[\w_][\w_-]*$/i;
 		const shortRegex = /^\w$/i;
-		const validTypes = ['number', 'integer', 'string', 'array', 'file', 'boolean'];
-		const validSubTypes = ['number', 'integer', 'string', 'file'];
+
+		flattenProperties(config);
 
 		this.values = {};
 		this.shortFlags = {};
+		this.longFlags = {};
+		this.commands = {};
+		this.globalFlags = {};
 
 		_.forEach(this.config, (flagConfig, flagName) => {
-			if (!flagRegex.test(flagName)) {
+			if (!flagName.split('.').every(part => flagRegex.test(part))) {
 				fError('Invalid flag %s, long flags must match /^[\\w_][\\w_-]*$/', flagName);
 			}
 
-			flagConfig.printName = _.kebabCase(flagName);
-
-			if (flagConfig.required && flagConfig.default) {
-				fError('Flag value cannot be required and have a default');
-			}
-
-			if	(flagConfig.enum &&
-				(flagConfig.type || flagConfig.subType || flagConfig.regex || flagConfig.min || flagConfig.max)
-				) {
-				fError('Flag must not have any validation attributes if it is an enum');
-			}
-
-			flagConfig.type = flagConfig.type || 'string';//default to string
-			if (validTypes.indexOf(flagConfig.type) === -1) {
-				fError(
-					`Invalid argument to 'type', '${flagConfig.type}' specified must be [${validTypes.join(',')}]`
-				);
-			}
-
-			flagConfig.subType = flagConfig.subType || 'string';//default to string
-			if (flagConfig.type === 'array') {
-				if (validSubTypes.indexOf(flagConfig.subType) === -1) {
-					const types = validSubTypes.join(',');
-					fError(
-						`Invalid argument to 'subType', '${flagConfig.subType}' specified must be [${types}]`
-					);
-				}
+			if (flagConfig.global) {
+				this.globalFlags[flagName] = _.clone(flagConfig);//keep the unprocessed config for subcommands
 			}
 
-			if (flagConfig.regex) {
-				if (flagConfig.type === 'number' || flagConfig.type === 'integer') {
-					fError('Cannot use \'regex\' when type is \'%s\'', flagConfig.type);
-				}
-				if (typeof flagConfig.regex === 'string') {
-					flagConfig.regex = new RegExp(flagConfig.regex);//Error is propagated
-				} else if (!(flagConfig.regex instanceof RegExp)) {
-					fError('Invalid argument to \'regex\', must be either a RegExp or compilable string');
-				}
-			}
+			flagConfig.printName = toPrintName(flagName);
 
-			if (flagConfig.min && typeof flagConfig.min !== 'number') {
-				fError('Invalid argument to \'min\', must be a number');
-			}
+			this.normalizeEntry(flagConfig);
 
-			if (flagConfig.max && typeof flagConfig.max !== 'number') {
-				fError('Invalid argument to \'max\', must be a number');
+			if (flagConfig.env !== undefined && flagConfig.env !== false && typeof flagConfig.env !== 'string') {
+				fError('Invalid argument to \'env\', must be a string or false');
 			}
-
-			if (flagConfig.validator && typeof flagConfig.validator !== 'function') {
-				fError('Invalid argument to \'validator\', must be a function');
+			if (flagConfig.env === undefined && this.options.envPrefix && this.builtInFlags.indexOf(flagName) === -1) {
+				flagConfig.env = this.options.envPrefix.replace(/_?$/, '_') +
+					_.snakeCase(flagConfig.printName).toUpperCase();
 			}
 
 			if (flagConfig.short) {
@@ -123,348 +453,1785 @@ module.exports = class ArgumentParser {
 				}
 				this.shortFlags[flagConfig.short] = flagName;
 			}
+
+			this.normalizeAliases(flagConfig, flagName);
 		}, this);
-	}
 
-	/**
-	 * Attempts to split given command line input into usable pieces.
-	 * @private
-	 * @param  {string} line The command line string
-	 * @return {Array.<Object>}
-	 */
-	splitArgs(line) {
-		const ret = [];
-		line.replace(cmdLineRegex, (match, shortDash, shortFlags, value) => {
-			if (shortDash === '-') {
-				shortFlags.split('').forEach(shortFlag => {
-					ret.push({
-						isFlag: true,
-						value: shortFlag,
-						isShort: true
-					});
-				});
-			} else {
-				ret.push({
-					isFlag: !!shortDash, //eslint-disable-line no-implicit-coercion
-					value: shortDash ? shortFlags : value,
-					isShort: false
-				});
-			}
-		});
-		return ret;
-	}
+		_.forEach(this.config, (flagConfig, flagName) => this.normalizeRelations(flagConfig, flagName));
 
-	handleType(entry, value, flag) {
-		switch (entry.type) {
-		case 'boolean':
-			if (value === false) {
-				return false;
-			}
-			return true;
-		case 'integer':
-			if (value.toString().indexOf('.') > -1) {
-				fError('Argument for \'%s\' must be an integer value', flag);
-			}
-			value = parseInt(value, 10);
-			/* falls through */
-		case 'number':
+		if (this.options.validate && typeof this.options.validate !== 'function') {
+			fError('Invalid argument to \'validate\', must be a function');
+		}
 
-			value = parseFloat(value);
+		const helpOptions = this.options.help || {};
+		if (helpOptions.formatter && typeof helpOptions.formatter !== 'function') {
+			fError('Invalid argument to \'help.formatter\', must be a function');
+		}
 
-			if (!isFinite(value)) {
-				fError('Could not parse number from argument for \'%s\'', flag);
-			}
-			if (entry.min && entry.max && (entry.max < value || entry.min > value)) {
-				fError('Argument for \'%s\' must be between to %d and %d', flag, entry.min, entry.max);
-			}
-			if (entry.min && value < entry.min) {
-				fError('Argument for \'%s\' must be greater or equal to %d', flag, entry.min);
-			}
+		if (this.options.onWarning && typeof this.options.onWarning !== 'function') {
+			fError('Invalid argument to \'onWarning\', must be a function');
+		}
 
-			if (entry.max && value > entry.max) {
-				fError('Argument for \'%s\' must be less or equal to %d', flag, entry.max);
-			}
-			return value;
-		case 'string'://heh
-			if (entry.regex && !entry.regex.test(value)) {
-				fError('Argument for \'%s\' did not match the regular expression %s', flag, entry.regex.source);
-			}
-			return value;
-		case 'array'://we are assuming all arguments in the array should be of a uniform type
-			if (typeof value === 'string') {
-				value = value.split(',');
+		this.exclusiveGroups = _.map(this.options.exclusive, (group, groupName) => {
+			group = Array.isArray(group) ? {flags: group} : group;
+			if (!Array.isArray(group.flags) || group.flags.length < 2) {
+				fError('Invalid exclusive group %s, must list at least two flags', groupName);
 			}
+			group.flags.forEach(name => {
+				if (!this.config[name]) {
+					fError('Invalid exclusive group %s, unknown flag %s', groupName, name);
+				}
+			});
+			return {
+				name: groupName,
+				flags: group.flags,
+				required: group.required === true
+			};
+		});
 
-			const subEntry = _.clone(entry);
-			subEntry.type = entry.subType;
+		this.positionals = (this.options.positionals || []).map((positional, index, positionals) => {
+			positional = _.clone(positional);
+			const match = positionalRegex.exec(positional.name);
+			if (!match) {
+				fError(
+					'Invalid positional argument %s, names must match /^[\\w_][\\w_-]*(\\.\\.\\.)?$/',
+					positional.name
+				);
+			}
+			positional.printName = match[1];
+			positional.name = _.camelCase(match[1]);
+			positional.variadic = positional.variadic || Boolean(match[2]);
 
-			return value.map(value => this.handleType(subEntry, trimQuotes(value), flag));
-		case 'file':
-			const path = value;
+			this.normalizeEntry(positional);
 
-			let encoding = 'utf8';
-			if (entry.file) {
-				encoding = entry.file.encoding || entry.file.json && 'utf8';
+			if (positional.variadic && index !== positionals.length - 1) {
+				fError('Only the last positional argument can be variadic');
 			}
-
-			const data = fs.readFileSync(path, encoding);
-			if (entry.file) {
-				if (entry.file.json) {
-					try {
-						return JSON.parse(data);
-					} catch (error) {
-						fError('Could not parse json from file %s', path);
-					}
-				}
-				if (entry.file.stream) {
-					return fs.createReadStream(path);
-				}
+			if (positional.required && index > 0 && !positionals[index - 1].required) {
+				fError('Required positional argument %s cannot follow an optional one', positional.name);
 			}
-			return data;
-		}
-		throw new Error('Unhandled type');
+			return positional;
+		});
 	}
 
 	/**
-	 * Handles the parsing and validation of a value
+	 * Validates the config of a flag or positional argument and fills in the defaults.
 	 * @private
-	 * @param  {Object} entry The corresponding flag config object for the flag.
-	 * @param  {string} value The raw string value associated with the flag
-	 * @param  {string} flag  The name of the flag
-	 * @return {*}
+	 * @param  {Object} entry The flag or positional argument config
 	 */
-	handleValue(entry, value, flag) {
+	normalizeEntry(entry) {
+		const validTypes = ['array', 'map'].concat(_.keys(types.registry), _.keys(this.options.types));
+		const validSubTypes = _.without(validTypes, 'array', 'map', 'boolean', 'count');
 
-		if (!value && entry.default !== undefined) {
-			value = entry.default;
+		if (entry.required && entry.default) {
+			fError('Flag value cannot be required and have a default');
 		}
 
-		if (value && typeof value === 'string' || value instanceof Array) {
-			value = trimQuotes(value);
+		//the enum of arrays applies to their items
+		const hasType = entry.type && entry.type !== 'array';
+		if (entry.enum && (hasType || entry.subType || entry.regex || entry.min || entry.max)) {
+			fError('Flag must not have any validation attributes if it is an enum');
 		}
 
-		if (entry.enum && entry.enum.indexOf(value) === -1) {
-			fError('Invalid enum value for \'%s\' must be in [%s]', flag, entry.enum.join(','));
+		entry.type = entry.type || 'string';//default to string
+		if (validTypes.indexOf(entry.type) === -1) {
+			fError(
+				`Invalid argument to 'type', '${entry.type}' specified must be [${validTypes.join(',')}]`
+			);
 		}
 
-		value = this.handleType(entry, value, flag);
+		entry.subType = entry.subType || 'string';//default to string
+		if (entry.type === 'array' || entry.type === 'map') {
+			if (validSubTypes.indexOf(entry.subType) === -1) {
+				const types = validSubTypes.join(',');
+				fError(
+					`Invalid argument to 'subType', '${entry.subType}' specified must be [${types}]`
+				);
+			}
+		}
 
-		if (entry.validator) {
-			try {
-				const validated = entry.validator(value);
-				if (validated !== undefined) {
-					value = validated;
-				}
-			} catch (error) {
-				fError('Validator failed for argument for \'%s\', \'%s\'', flag, error.message);
+		this.normalizeItems(entry);
+
+		if (entry.regex) {
+			if (entry.type === 'number' || entry.type === 'integer') {
+				fError('Cannot use \'regex\' when type is \'%s\'', entry.type);
+			}
+			if (typeof entry.regex === 'string') {
+				entry.regex = new RegExp(entry.regex);//Error is propagated
+			} else if (!(entry.regex instanceof RegExp)) {
+				fError('Invalid argument to \'regex\', must be either a RegExp or compilable string');
 			}
 		}
-		return value;
+
+		this.normalizePath(entry);
+
+		//types like duration and date convert their bounds, e.g. {min: '1s'}
+		const bound = this.getType(valueType(entry)).bound;
+		['min', 'max'].forEach(attribute => {
+			const value = entry[attribute];
+			if (bound && value !== undefined && isNaN(bound(value))) {
+				fError('Invalid argument to \'%s\', must be a valid %s', attribute, valueType(entry));
+			}
+			if (!bound && value && typeof value !== 'number') {
+				fError('Invalid argument to \'%s\', must be a number', attribute);
+			}
+		});
+
+		if (entry.validator && typeof entry.validator !== 'function') {
+			fError('Invalid argument to \'validator\', must be a function');
+		}
+
+		//maps can be repeated anyway
+		if (entry.multiple && (!takesValue(entry) || entry.type === 'map')) {
+			fError('Cannot use \'multiple\' when type is \'%s\'', entry.type);
+		}
+
+		if (entry.complete && typeof entry.complete !== 'function') {
+			fError('Invalid argument to \'complete\', must be a function');
+		}
 	}
 
 	/**
-	 * Processes the individual flags and pre-filters non-existant ones.
-	 * Also handles flag-value associations.
+	 * Validates the item constraints and the separator of an array config, the separator defaults to a comma.
 	 * @private
-	 * @param  {Object}   curr The parsed flag/value info
-	 * @param  {Object} next The next parse flag/value info
-	 * @return {*}
+	 * @param  {Object} entry The flag or positional argument config
 	 */
-	handleFlag(curr, next) {
-		let name = curr.value;
-		if (curr.isShort) {
-			name = this.shortFlags[name];
-		}
-
-		const entry = this.config[name];
-		if (!entry) {
-			fError('Unknown flag \'%s\'', name);
+	normalizeItems(entry) {
+		const attributes = ['minItems', 'maxItems', 'unique', 'separator'];
+		if (entry.type !== 'array') {
+			const attribute = _.find(attributes, attribute => entry[attribute] !== undefined);
+			if (attribute) {
+				fError('Cannot use \'%s\' when type is \'%s\'', attribute, entry.type);
+			}
+			return;
 		}
-		if (this.values[curr.value]) {
-			fError('Dublicate flag \'%s\'', name);
+		['minItems', 'maxItems'].forEach(attribute => {
+			const value = entry[attribute];
+			if (value !== undefined && !(_.isInteger(value) && value >= 0)) {
+				fError('Invalid argument to \'%s\', must be a non-negative integer', attribute);
+			}
+		});
+		if (entry.minItems > entry.maxItems) {
+			fError('Invalid argument to \'minItems\', must not be greater than \'maxItems\'');
 		}
-		if (entry.type !== 'boolean' && entry.default === undefined && (!next || next.isFlag)) {
-			fError('Flag \'%s\' requires a value', name);
+		if (entry.unique !== undefined && typeof entry.unique !== 'boolean') {
+			fError('Invalid argument to \'unique\', must be a boolean');
 		}
-		let value;
-		if (entry.type === 'boolean') {
-			value = true;
-		} else {
-			value = next && next.value;
+		entry.separator = entry.separator === undefined ? ',' : entry.separator;
+		if (typeof entry.separator !== 'string' || !entry.separator || /['"]/.test(entry.separator)) {
+			fError('Invalid argument to \'separator\', must be a non-empty string without quotes');
 		}
-		this.values[name] = this.handleValue(entry, value, name);
 	}
 
 	/**
-	 * Generates the help string for the specified flag name.
-	 * @public
-	 * @param  {string} flagName
-	 * @return {string}
+	 * Validates the path options of a flag of one of the path types.
+	 * @private
+	 * @param  {Object} entry The flag or positional argument config
 	 */
-	getFlagHelpInfo(flagName) {
-		const conf = this.config[flagName];
-		let typeString = '';
-		if (conf.enum) {
-			typeString = 'enum (' + conf.enum.join(',') + ')';
-		} else {
-			switch (conf.type) {
-			case 'number':
-			case 'integer':
-				typeString = (conf.min ? conf.min + '<=' : '') + conf.type + (conf.max ? '<=' + conf.max : '');
-				break;
-			case 'string':
-				typeString = 'string' + (conf.regex ? ' matching ' + conf.regex.source : '');
-				break;
-			case 'array':
-				typeString = 'array of ' + conf.subType;
-				break;
-			case 'file':
-				typeString = 'file';
+	normalizePath(entry) {
+		const options = entry.path;
+		if (options === undefined) {
+			return;
+		}
+		if (pathTypes.indexOf(valueType(entry)) === -1) {
+			fError('Cannot use \'path\' when type is \'%s\'', entry.type);
+		}
+		if (!_.isPlainObject(options)) {
+			fError('Invalid argument to \'path\', must be an object');
+		}
+		['mustExist', 'mustNotExist', 'readable', 'writable', 'glob'].forEach(attribute => {
+			if (options[attribute] !== undefined && typeof options[attribute] !== 'boolean') {
+				fError('Invalid argument to \'path.%s\', must be a boolean', attribute);
 			}
+		});
+		if (options.baseDir !== undefined && (typeof options.baseDir !== 'string' || !options.baseDir)) {
+			fError('Invalid argument to \'path.baseDir\', must be a non-empty string');
+		}
+		if (options.mustExist && options.mustNotExist) {
+			fError('Cannot use \'path.mustExist\' together with \'path.mustNotExist\'');
+		}
+		if (options.glob && valueType(entry) !== 'path') {
+			fError('Cannot use \'path.glob\' when type is \'%s\'', valueType(entry));
 		}
-
-		return {
-			printName: conf.printName,
-			type: typeString,
-			default: conf.default === undefined ? '' : conf.default,
-			required: conf.required === true,
-			description: conf.description || '',
-			short: conf.short
-		};
 	}
 
 	/**
-	 * @public
-	 * Builds the complete help info.
-	 * @return {string}
+	 * Validates the aliases and deprecated names of a flag and registers them as additional long flags.
+	 * Deprecated names become an object mapping the name to the text of its warning.
+	 * @private
+	 * @param  {Object} entry    The flag config
+	 * @param  {string} flagName The name of the flag
 	 */
-	getHelpString() {
-
-		const helpInfos = _.map(this.config, (value, flagName) => this.getFlagHelpInfo(flagName));
-
-		_.sortBy(helpInfos, 'printName');
-
-		const max = {};
+	normalizeAliases(entry, flagName) {
+		let deprecated = entry.deprecated || {};
+		if (typeof deprecated === 'string' || Array.isArray(deprecated)) {
+			deprecated = _.zipObject([].concat(deprecated), []);
+		}
+		if (!_.isPlainObject(deprecated)) {
+			fError('Invalid argument to \'deprecated\', must be a string, an array or an object');
+		}
+		entry.aliases = [].concat(entry.aliases || []);
+		entry.deprecated = deprecated;
 
-		helpInfos.push({//take header size into account
-			printName: 'Name',
-			type: 'Type',
-			default: 'Default',
-			required: 'Required',
-			description: 'Description'
+		entry.aliases.concat(_.keys(deprecated)).forEach(alias => {
+			if (typeof alias !== 'string' || !flagRegex.test(alias)) {
+				fError('Invalid alias %s of flag %s, long flags must match /^[\\w_][\\w_-]*$/', alias, flagName);
+			}
+			const name = _.camelCase(alias);
+			if (_.has(this.config, name) || _.has(this.longFlags, name)) {
+				fError('Duplicate flag name %s', alias);
+			}
+			const isDeprecated = _.has(deprecated, alias);
+			this.longFlags[name] = {
+				name: flagName,
+				printName: _.kebabCase(alias),
+				deprecated: isDeprecated,
+				warning: isDeprecated && deprecated[alias] || `use '--${entry.printName}' instead`
+			};
+		});
+	}
+
+	/**
+	 * Validates the conflicts, requires and implies attributes of a flag, conflicts and requires become arrays.
+	 * Global flags can only refer to other global flags since subcommands only inherit those.
+	 * @private
+	 * @param  {Object} entry The flag config
+	 * @param  {string} flag  The name of the flag
+	 */
+	normalizeRelations(entry, flag) {
+		if (entry.implies !== undefined && !_.isPlainObject(entry.implies)) {
+			fError('Invalid argument to \'implies\', must be an object of flag names and values');
+		}
+		entry.conflicts = [].concat(entry.conflicts || []);
+		entry.requires = [].concat(entry.requires || []);
+		entry.implies = entry.implies || {};
+
+		['requiredIf', 'requiredUnless'].forEach(attribute => {
+			const condition = entry[attribute];
+			if (condition !== undefined && typeof condition !== 'function' && !_.isPlainObject(condition)) {
+				fError('Invalid argument to \'%s\', must be a function or an object of flags and values', attribute);
+			}
+			if (condition !== undefined && (entry.required || entry.default !== undefined)) {
+				fError('Flag cannot use \'%s\' and be required or have a default', attribute);
+			}
+		});
+		const conditionFlags = _.keys(entry.requiredIf).concat(_.keys(entry.requiredUnless));
+
+		entry.conflicts.concat(entry.requires, _.keys(entry.implies), conditionFlags).forEach(name => {
+			const other = this.config[name];
+			if (!other || name === flag) {
+				fError('Invalid relation of flag %s, unknown flag %s', flag, name);
+			}
+			if (entry.global && !other.global) {
+				fError('Invalid relation of global flag %s, %s is not global', flag, name);
+			}
+		});
+	}
+
+	/**
+	 * Registers a type that can be used by all parsers created afterwards.
+	 * @public
+	 * @param  {string} name
+	 * @param  {{parse: Function, describe: Function, complete: Function}} type Please refer to the readme
+	 */
+	static registerType(name, type) {
+		types.register(types.registry, name, type);
+	}
+
+	/**
+	 * Registers a type for this parser and the subcommands added afterwards.
+	 * @public
+	 * @param  {string} name
+	 * @param  {{parse: Function, describe: Function, complete: Function}} type Please refer to the readme
+	 * @return {ArgumentParser}
+	 */
+	registerType(name, type) {
+		types.register(this.options.types, name, type);
+		return this;
+	}
+
+	/**
+	 * Looks up a type, types of the parser take precedence over the global ones.
+	 * @private
+	 * @param  {string} name
+	 * @return {Object}
+	 */
+	getType(name) {
+		return _.has(this.options.types, name) ? this.options.types[name] : types.registry[name];
+	}
+
+	/**
+	 * Registers a subcommand, flags marked as global are inherited by it.
+	 * @public
+	 * @param  {string} name        The name of the command as it is typed on the command line.
+	 * @param  {string} description The command description to be displayed when using help.
+	 * @param  {Object} config      The command line config parameters of the command.
+	 * @param  {Object} [options]   Parser wide options of the command, envPrefix, env, types and help are inherited.
+	 * @return {ArgumentParser}     The parser of the subcommand, use it to register nested commands.
+	 */
+	addCommand(name, description, config, options) {
+		if (!commandRegex.test(name)) {
+			fError('Invalid command %s, commands must match /^[\\w_][\\w_-]*$/', name);
+		}
+		if (this.commands[name]) {
+			fError('Duplicate command %s', name);
+		}
+
+		const command = new ArgumentParser(
+			description,
+			_.assign(_.cloneDeep(this.globalFlags), config),
+			_.defaults({
+				types: _.assign({}, this.options.types, options && options.types)
+			}, options, _.pick(this.options, ['envPrefix', 'env', 'help']))
+		);
+		command.name = name;
+		command.parent = this;
+		this.commands[name] = command;
+		return command;
+	}
+
+	/**
+	 * Finds the position of the first value that selects a subcommand.
+	 * @private
+	 * @param  {Array.<Object>} split The parsed flag/value info
+	 * @return {number} The index of the command or -1
+	 */
+	findCommand(split) {
+		return _.findIndex(split, (curr, index) => {
+			if (curr.isFlag || !this.commands[curr.value]) {
+				return false;
+			}
+			const prev = split[index - 1];
+			if (!prev || !prev.isFlag || prev.attached !== undefined) {
+				return true;
+			}
+			const entry = this.resolveFlag(prev).entry;
+			return Boolean(entry) && !takesValue(entry);
+		});
+	}
+
+	/**
+	 * Classifies the given command line arguments into flags and values.
+	 * @private
+	 * @param  {Array.<string>} argv The command line arguments
+	 * @return {Array.<Object>}
+	 */
+	splitArgs(argv) {
+		const ret = [];
+		argv.forEach(arg => {
+			let match = longFlagRegex.exec(arg);
+			if (match) {
+				ret.push({
+					isFlag: true,
+					value: match[1].split('.').map(part => _.camelCase(part)).join('.'),
+					isShort: false,
+					attached: match[2]
+				});
+				return;
+			}
+			match = shortFlagRegex.exec(arg);
+			//allow negative numbers as values
+			if (match && (this.shortFlags[match[1][0]] || !isFinite(match[1]))) {
+				this.splitShortFlags(match[1], ret);
+				return;
+			}
+			ret.push({
+				isFlag: false,
+				value: arg,
+				isShort: false
+			});
+		});
+		return ret;
+	}
+
+	/**
+	 * Splits a cluster of short flags like '-xvf'.
+	 * The first flag that takes a value receives the rest of the cluster as value, e.g. '-p8080' or '-p=8080'.
+	 * @private
+	 * @param  {string}         cluster The short flags without the leading dash
+	 * @param  {Array.<Object>} ret     The flag/value info to append to
+	 */
+	splitShortFlags(cluster, ret) {
+		for (let i = 0; i < cluster.length; i++) {
+			const shortFlag = {
+				isFlag: true,
+				value: cluster[i],
+				isShort: true
+			};
+			ret.push(shortFlag);
+
+			const entry = this.config[this.shortFlags[cluster[i]]];
+			if (entry && takesValue(entry) && i < cluster.length - 1) {
+				shortFlag.attached = cluster.slice(i + 1).replace(/^=/, '');
+				return;
+			}
+		}
+	}
+
+	handleType(entry, value, flag) {
+		//we are assuming all arguments in the array should be of a uniform type
+		if (entry.type === 'array') {
+			if (typeof value === 'string') {
+				value = splitList(value, entry.separator);
+			}
+
+			const subEntry = _.omit(entry, 'enum');
+			subEntry.type = entry.subType;
+
+			value = value.map(value => {
+				value = typeof value === 'string' ? trimQuotes(value) : value;
+				this.checkEnum(entry, value, flag);
+				return this.handleType(subEntry, value, flag);
+			});
+			if (expandsToArray(subEntry)) {
+				value = _.flatten(value);
+			}
+			//the items of repeatable flags are checked once all of them are collected
+			if (!entry.multiple) {
+				this.checkItems(entry, value, flag);
+			}
+			return value;
+		}
+
+		if (entry.type === 'map') {
+			return this.handleMap(entry, value, flag);
+		}
+
+		try {
+			return this.getType(entry.type).parse(value, entry, flag);
+		} catch (error) {
+			if (error instanceof ArgumentParserError || types.builtIns[entry.type]) {
+				throw error;
+			}
+			return pError(
+				{code: 'INVALID_TYPE', flag, value, expected: entry.type},
+				'Invalid %s value for \'%s\', %s',
+				entry.type,
+				flag,
+				error.message
+			);
+		}
+	}
+
+	/**
+	 * Parses the value of a map flag, either KEY=VALUE pairs separated by commas or an object, e.g. from a config file.
+	 * The values are parsed as subType.
+	 * @private
+	 * @param  {Object}        entry The corresponding flag config object for the flag.
+	 * @param  {string|Object} value
+	 * @param  {string}        flag  The name of the flag
+	 * @return {Object.<string, *>}
+	 */
+	handleMap(entry, value, flag) {
+		const subEntry = _.assign({}, entry, {type: entry.subType});
+		if (_.isPlainObject(value)) {
+			return _.mapValues(value, value => this.handleType(subEntry, value, flag));
+		}
+		const ret = {};
+		splitList(String(value), ',').forEach(pair => {
+			const match = /^([^=]+)=([\s\S]*)$/.exec(pair.trim());
+			if (!match) {
+				pError(
+					{code: 'INVALID_TYPE', flag, value: pair, expected: 'KEY=VALUE'},
+					'Invalid map value for \'%s\', \'%s\' must be KEY=VALUE',
+					flag,
+					pair
+				);
+			}
+			ret[match[1].trim()] = this.handleType(subEntry, trimQuotes(match[2]), flag);
+		});
+		return ret;
+	}
+
+	/**
+	 * Handles the parsing and validation of a value
+	 * @private
+	 * @param  {Object} entry The corresponding flag config object for the flag.
+	 * @param  {string} value The raw string value associated with the flag
+	 * @param  {string} flag  The name of the flag
+	 * @return {*}
+	 */
+	handleValue(entry, value, flag) {
+
+		if (value === undefined && entry.default !== undefined) {
+			value = entry.default;
+		}
+
+		if (entry.type !== 'array') {
+			this.checkEnum(entry, value, flag);
+		}
+
+		value = this.handleType(entry, value, flag);
+
+		if (entry.validator) {
+			try {
+				const validated = entry.validator(value);
+				if (validated !== undefined) {
+					value = validated;
+				}
+			} catch (error) {
+				pError(
+					{code: 'VALIDATION_FAILED', flag, value},
+					'Validator failed for argument for \'%s\', \'%s\'',
+					flag,
+					error.message
+				);
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * Checks that a value, or an item of an array, is one of the enum values of the config, if it has any.
+	 * @private
+	 * @param  {Object} entry The corresponding flag config object for the flag.
+	 * @param  {*}      value
+	 * @param  {string} flag  The name of the flag
+	 */
+	checkEnum(entry, value, flag) {
+		if (entry.enum && entry.enum.indexOf(value) === -1) {
+			const suggestions = suggest.suggest(String(value), entry.enum.map(String));
+			pError(
+				{code: 'INVALID_ENUM', flag, value, expected: entry.enum, suggestions},
+				'Invalid enum value for \'%s\' must be in [%s]%s',
+				flag,
+				entry.enum.join(','),
+				suggest.formatSuggestions(suggestions)
+			);
+		}
+	}
+
+	/**
+	 * Checks the number of items and their uniqueness against minItems, maxItems and unique.
+	 * Items are compared by their string representation, e.g. two equal dates are duplicates.
+	 * @private
+	 * @param  {Object}   entry The corresponding flag config object for the flag.
+	 * @param  {Array.<*>} items
+	 * @param  {string}   flag  The name of the flag
+	 */
+	checkItems(entry, items, flag) {
+		const length = items.length;
+		if (length < entry.minItems || length > entry.maxItems) {
+			const below = length < entry.minItems;
+			pError(
+				{code: 'INVALID_LENGTH', flag, value: items, expected: _.pick(entry, ['minItems', 'maxItems'])},
+				'Argument for \'%s\' must have %s %d items, got %d',
+				flag,
+				below ? 'at least' : 'at most',
+				below ? entry.minItems : entry.maxItems,
+				length
+			);
+		}
+		const seen = {};
+		const duplicate = _.find(items, item => {
+			const key = String(item);
+			const found = _.has(seen, key);
+			seen[key] = true;
+			return found;
+		});
+		if (entry.unique && duplicate !== undefined) {
+			pError(
+				{code: 'DUPLICATE_VALUE', flag, value: duplicate},
+				'Duplicate value \'%s\' for \'%s\', the items must be unique',
+				duplicate,
+				flag
+			);
+		}
+	}
+
+	/**
+	 * Runs the given function, when collecting errors ArgumentParserErrors are recorded instead of thrown.
+	 * @private
+	 * @param  {Function} fn
+	 */
+	attempt(fn) {
+		const root = this.getRoot();
+		if (!root.options.collectErrors) {
+			fn();
+			return;
+		}
+		try {
+			fn();
+		} catch (error) {
+			if (!(error instanceof ArgumentParserError)) {
+				throw error;
+			}
+			root.errors.push(error);
+		}
+	}
+
+	/**
+	 * Looks up the config of a flag, resolves short flags and negated boolean flags like '--no-color'.
+	 * @private
+	 * @param  {Object} curr The parsed flag info
+	 * @return {{name: string, entry: Object, negated: boolean}} The entry is undefined for unknown flags.
+	 */
+	resolveFlag(curr) {
+		let name = curr.value;
+		let alias;
+		if (curr.isShort) {
+			//short flags only resolve through their short name, unknown ones keep it for the error message
+			const entry = _.has(this.shortFlags, name) ? this.config[this.shortFlags[name]] : undefined;
+			return {
+				name: entry ? this.shortFlags[name] : name,
+				entry,
+				negated: false
+			};
+		} else if (_.has(this.longFlags, name)) {
+			alias = this.longFlags[name];
+			name = alias.name;
+		} else if (!_.has(this.config, name)) {
+			const match = /^no([A-Z].*)$/.exec(name);
+			let negatedName = match && _.lowerFirst(match[1]);
+			if (_.has(this.longFlags, negatedName)) {
+				alias = this.longFlags[negatedName];
+				negatedName = alias.name;
+			}
+			const entry = negatedName && this.config[negatedName];
+			if (entry && entry.type === 'boolean' && entry.negatable !== false) {
+				return {
+					name: negatedName,
+					entry,
+					negated: true,
+					alias
+				};
+			}
+			alias = undefined;
+		}
+		return {
+			name,
+			entry: _.has(this.config, name) ? this.config[name] : undefined,
+			negated: false,
+			alias
+		};
+	}
+
+	/**
+	 * Processes the individual flags and pre-filters non-existant ones.
+	 * Also handles flag-value associations.
+	 * @private
+	 * @param  {Object}   curr The parsed flag/value info
+	 * @param  {Object} next The next parse flag/value info
+	 * @return {boolean} Whether the next value was consumed by the flag
+	 */
+	handleFlag(curr, next) {
+		const resolved = this.resolveFlag(curr);
+		const entry = resolved.entry;
+		this.attempt(() => this.applyFlag(curr, next, resolved));
+		return Boolean(entry && takesValue(entry) && curr.attached === undefined && next && !next.isFlag);
+	}
+
+	/**
+	 * Validates and stores the value of a single flag.
+	 * @private
+	 * @param  {Object} curr     The parsed flag/value info
+	 * @param  {Object} next     The next parse flag/value info
+	 * @param  {Object} resolved The flag info returned by resolveFlag
+	 */
+	applyFlag(curr, next, resolved) {
+		const name = resolved.name;
+		const entry = resolved.entry;
+		if (!entry) {
+			const suggestions = this.suggestFlags(curr, name);
+			pError(
+				{code: 'UNKNOWN_FLAG', flag: name, suggestions},
+				'Unknown flag \'%s\'%s',
+				name,
+				suggest.formatSuggestions(suggestions)
+			);
+		}
+		if (resolved.alias && resolved.alias.deprecated) {
+			const typed = '--' + (resolved.negated ? 'no-' : '') + resolved.alias.printName;
+			this.warn(
+				{code: 'DEPRECATED_FLAG', flag: name, alias: typed},
+				`Flag '${typed}' is deprecated, ${resolved.alias.warning}`
+			);
+		}
+		if (_.has(this.values, name) && !entry.multiple && entry.type !== 'count' && entry.type !== 'map') {
+			pError({code: 'DUPLICATE_FLAG', flag: name}, 'Dublicate flag \'%s\'', name);
+		}
+		if (entry.type === 'count') {
+			const count = curr.attached === undefined ? (this.values[name] || 0) + 1 : curr.attached;
+			this.values[name] = this.handleValue(entry, count, name);
+			return;
+		}
+		if (entry.type === 'boolean') {
+			if (resolved.negated && curr.attached !== undefined) {
+				pError(
+					{code: 'UNEXPECTED_VALUE', flag: name, value: curr.attached},
+					'Flag \'no-%s\' does not take a value',
+					entry.printName
+				);
+			}
+			const value = curr.attached === undefined ? !resolved.negated : curr.attached;
+			this.values[name] = this.handleValue(entry, value, name);
+			return;
+		}
+		if (curr.attached !== undefined) {
+			this.storeValue(entry, name, curr.attached);
+			return;
+		}
+		if (entry.default === undefined && (!next || next.isFlag)) {
+			pError({code: 'MISSING_VALUE', flag: name, expected: entry.type}, 'Flag \'%s\' requires a value', name);
+		}
+		this.storeValue(entry, name, next && !next.isFlag ? next.value : undefined);
+	}
+
+	/**
+	 * Lists the long names of a flag as they are typed, including its aliases and negations but not deprecated names.
+	 * @private
+	 * @param  {Object} entry The flag config
+	 * @return {Array.<string>} e.g. ['--color', '--no-color', '--colour', '--no-colour']
+	 */
+	getLongNames(entry) {
+		const negatable = entry.type === 'boolean' && entry.negatable !== false;
+		const names = [entry.printName].concat(entry.aliases.map(alias => _.kebabCase(alias)));
+		return _.flatten(names.map(name => ['--' + name].concat(negatable ? '--no-' + name : [])));
+	}
+
+	/**
+	 * Reports a problem that does not stop parsing, e.g. the use of a deprecated flag.
+	 * Calls the onWarning option of the root parser, writes to stderr by default.
+	 * @private
+	 * @param  {Object} details The code and flag of the warning
+	 * @param  {string} message
+	 */
+	warn(details, message) {
+		const onWarning = this.getRoot().options.onWarning;
+		if (onWarning) {
+			onWarning(message, details);
+		} else {
+			process.stderr.write(`Warning: ${message}\n`);
+		}
+	}
+
+	/**
+	 * Finds the flags that were most likely meant by an unknown flag.
+	 * Short flags only differing in case are suggested for unknown short flags.
+	 * @private
+	 * @param  {Object} curr The parsed flag info
+	 * @param  {string} name The name of the unknown flag
+	 * @return {Array.<string>} The suggested flags including their dashes
+	 */
+	suggestFlags(curr, name) {
+		if (curr.isShort) {
+			return _.keys(this.shortFlags)
+			.filter(short => short !== name && short.toLowerCase() === name.toLowerCase())
+			.map(short => '-' + short)
+			.concat(_.has(this.config, name) ? ['--' + this.config[name].printName] : []);
+		}
+
+		const candidates = _.flatten(_.map(this.config, entry => this.getLongNames(entry)));
+		return suggest.suggest('--' + toPrintName(name), candidates);
+	}
+
+	/**
+	 * Validates the value of a flag and stores it.
+	 * Flags that can be set multiple times collect their values, every element is validated on its own.
+	 * @private
+	 * @param  {Object} entry The corresponding flag config object for the flag.
+	 * @param  {string} flag  The name of the flag
+	 * @param  {*}      value The raw value, undefined to use the default
+	 */
+	storeValue(entry, flag, value) {
+		if (entry.type === 'map') {
+			//repeated map flags add their keys
+			this.values[flag] = _.assign({}, this.values[flag], this.handleValue(entry, value, flag));
+			return;
+		}
+		if (!entry.multiple) {
+			this.values[flag] = this.handleValue(entry, value, flag);
+			return;
+		}
+
+		if (value === undefined) {
+			value = entry.default;
+		}
+		let values = this.values[flag] || [];
+		(Array.isArray(value) && entry.type !== 'array' ? value : [value]).forEach(value => {
+			value = this.handleValue(entry, value, flag);
+			values = values.concat(expandsToArray(entry) ? value : [value]);
 		});
+		this.values[flag] = values;
+	}
+
+	/**
+	 * Sets the value of a flag from its environment variable, if the variable is set and not empty.
+	 * @private
+	 * @param  {Object} entry The corresponding flag config object for the flag.
+	 * @param  {string} flag  The name of the flag
+	 */
+	handleEnv(entry, flag) {
+		const env = this.options.env || process.env;
+		const value = env[entry.env];
+		if (value === undefined || value === '') {
+			return;
+		}
+		try {
+			this.storeValue(entry, flag, value);
+		} catch (error) {
+			error.message += util.format(' (set by environment variable %s)', entry.env);
+			throw error;
+		}
+	}
+
+	/**
+	 * Loads the config files, the explicitly passed one first, then the discovered rc files.
+	 * The files are loaded once per parse and shared with all subcommands.
+	 * @private
+	 * @return {Array.<{file: string, data: Object}>} The config layers, highest priority first
+	 */
+	getConfigLayers() {
+		if (this.parent) {
+			return this.parent.getConfigLayers();
+		}
+		if (this.configLayers) {
+			return this.configLayers;
+		}
+
+		const options = this.options.configFile;
+		const cwd = options.cwd || process.cwd();
+		let files = [];
+
+		if (options.flag !== false) {
+			const flag = options.flag || 'config';
+			if (!_.has(this.values, flag) && this.config[flag].env) {
+				this.handleEnv(this.config[flag], flag);
+			}
+			if (this.values[flag]) {
+				files.push(path.resolve(cwd, this.values[flag]));
+			}
+		}
+		if (options.name) {
+			const home = options.home === undefined ? os.homedir() : options.home;
+			files = files.concat(configFiles.findRcFiles(options.name, cwd, home));
+		}
+
+		this.configLayers = [];//errors are only reported once
+		this.configLayers = files.map(file => ({
+			file,
+			data: configFiles.parseFile(file)
+		}));
+		return this.configLayers;
+	}
+
+	/**
+	 * Sets the value of a flag from the config files.
+	 * Subcommands read from the section named after them, global flags may also be set in the parent sections.
+	 * @private
+	 * @param  {Object} entry The corresponding flag config object for the flag.
+	 * @param  {string} flag  The name of the flag
+	 */
+	handleConfigValue(entry, flag) {
+		const configOptions = this.getRoot().options.configFile;
+		if (!configOptions || this.builtInFlags.indexOf(flag) > -1 || flag === (configOptions.flag || 'config')) {
+			return;
+		}
+
+		const commandPath = this.getCommandPath();
+		let found;
+		_.some(this.getConfigLayers(), layer => {
+			for (let depth = commandPath.length; depth >= 0 && !found; depth--) {
+				if (depth < commandPath.length && !entry.global) {
+					break;
+				}
+				const sectionPath = commandPath.slice(0, depth);
+				const section = depth ? _.get(layer.data, sectionPath) : layer.data;
+				const key = findConfigKey(section, flag, entry);
+				if (key !== undefined) {
+					found = {
+						file: layer.file,
+						key: sectionPath.concat(key).join('.'),
+						value: _.get(section, key)
+					};
+				}
+			}
+			return found;
+		});
+
+		if (!found) {
+			return;
+		}
+		try {
+			this.storeValue(entry, flag, found.value);
+		} catch (error) {
+			error.message += util.format(' (set by %s in config file %s)', found.key, found.file);
+			throw error;
+		}
+	}
+
+	/**
+	 * Assigns the values that were not associated with a flag to the positional arguments.
+	 * @private
+	 * @param  {Array.<string>} values The raw values in order of appearance
+	 */
+	handlePositionals(values) {
+		if (!this.positionals.length && !_.isEmpty(this.commands)) {
+			values.forEach(value => this.attempt(() => {
+				const suggestions = suggest.suggest(value, _.keys(this.commands));
+				pError(
+					{code: 'UNKNOWN_COMMAND', value, expected: _.keys(this.commands), suggestions},
+					'Unknown command \'%s\'%s',
+					value,
+					suggest.formatSuggestions(suggestions)
+				);
+			}));
+			return;
+		}
+		if (!this.positionals.length) {
+			if (values.length > 1) {
+				this.attempt(() =>
+					pError({code: 'UNHANDLED_VALUE', value: values[0]}, 'Unhandled value %s', values[0])
+				);
+			} else if (values.length) {
+				this.values.__append__ = values[0];
+			}
+			return;
+		}
+
+		this.positionals.forEach(positional => {
+			const name = positional.name;
+			if (!values.length) {
+				return;
+			}
+			if (positional.variadic) {
+				this.values[name] = [];
+				values.splice(0).forEach(value => this.attempt(() => {
+					this.values[name].push(this.handleValue(positional, value, name));
+				}));
+			} else {
+				const value = values.shift();
+				this.attempt(() => {
+					this.values[name] = this.handleValue(positional, value, name);
+				});
+			}
+		});
+
+		values.forEach(value => this.attempt(() =>
+			pError({code: 'UNHANDLED_VALUE', value}, 'Unhandled value %s', value)
+		));
+	}
+
+	/**
+	 * Generates the help string for the specified flag name.
+	 * @public
+	 * @param  {string} flagName
+	 * @return {string}
+	 */
+	getFlagHelpInfo(flagName) {
+		const conf = this.config[flagName];
+		const info = this.getEntryHelpInfo(conf);
+		//deprecated names are not listed
+		info.aliases = conf.aliases.map(alias => info.printName.replace(conf.printName, _.kebabCase(alias)));
+
+		const groups = this.exclusiveGroups.filter(group => group.flags.indexOf(flagName) > -1);
+		const conflicts = _.without(_.uniq(conf.conflicts.concat(_.flatten(_.map(groups, 'flags')))), flagName);
+		info.relations = [];
+		if (conflicts.length) {
+			info.relations.push('conflicts: ' + this.getPrintNames(conflicts));
+		}
+		if (conf.requires.length) {
+			info.relations.push('requires: ' + this.getPrintNames(conf.requires));
+		}
+		if (!_.isEmpty(conf.implies)) {
+			info.relations.push('implies: ' + _.map(conf.implies, (value, name) =>
+				`--${this.config[name].printName}=${value}`
+			).join(', '));
+		}
+		[['requiredIf', 'if'], ['requiredUnless', 'unless']].forEach(pair => {
+			const condition = describeCondition(conf[pair[0]]);
+			if (conf[pair[0]]) {
+				info.relations.push(condition ? `required ${pair[1]} ${condition}` : 'conditionally required');
+			}
+		});
+		groups.filter(group => group.required).forEach(group => {
+			info.relations.push('required: one of ' + this.getPrintNames(group.flags));
+		});
+		return info;
+	}
+
+	/**
+	 * Formats flag names the way they are typed, e.g. '--dry-run, --force'.
+	 * @private
+	 * @param  {Array.<string>} names
+	 * @return {string}
+	 */
+	getPrintNames(names) {
+		return names.map(name => '--' + this.config[name].printName).join(', ');
+	}
+
+	/**
+	 * Describes the type of a flag for the help, types without a describe function are described by their name.
+	 * @private
+	 * @param  {Object} conf
+	 * @return {string}
+	 */
+	describeType(conf) {
+		const type = this.getType(conf.type);
+		return type.describe ? type.describe(conf) : conf.type;
+	}
+
+	/**
+	 * Generates the help info for a flag or positional argument config.
+	 * @private
+	 * @param  {Object} conf
+	 * @return {Object}
+	 */
+	getEntryHelpInfo(conf) {
+		let typeString;
+		if (conf.enum && conf.type === 'array') {
+			typeString = 'array of enum (' + conf.enum.join(',') + ')';
+		} else if (conf.enum) {
+			typeString = 'enum (' + conf.enum.join(',') + ')';
+		} else if (conf.type === 'array' || conf.type === 'map') {
+			typeString = conf.type + ' of ' + this.describeType(_.assign({}, conf, {type: conf.subType}));
+		} else {
+			typeString = this.describeType(conf);
+		}
+		if (conf.type === 'array') {
+			typeString += describeItems(conf);
+		}
+		if (conf.multiple) {
+			typeString += ', repeatable';
+		}
 
-		_.forEach(['printName', 'type', 'default', 'required', 'description'], attribute => {
-			max[attribute] = _.maxBy(helpInfos, helpInfo =>
-				helpInfo[attribute].toString().length
-			)[attribute].toString().length + 1;
+		return {
+			printName: (conf.type === 'boolean' && conf.negatable !== false ? '[no-]' : '') + conf.printName,
+			type: typeString,
+			default: conf.default === undefined ? '' : formatDefault(conf),
+			required: conf.required === true,
+			description: conf.description || '',
+			short: conf.short,
+			env: conf.env || ''
+		};
+	}
+
+	/**
+	 * Returns the names of the commands leading to this parser, empty for the main parser.
+	 * @public
+	 * @return {Array.<string>}
+	 */
+	getCommandPath() {
+		return this.parent ? this.parent.getCommandPath().concat(this.name) : [];
+	}
+
+	/**
+	 * Returns the main parser, the one that has no parent command.
+	 * @public
+	 * @return {ArgumentParser}
+	 */
+	getRoot() {
+		return this.parent ? this.parent.getRoot() : this;
+	}
+
+	/**
+	 * Builds the usage synopsis, e.g. 'db migrate [options] <source> [files...]'.
+	 * @public
+	 * @return {string}
+	 */
+	getUsageString() {
+		const parts = this.getCommandPath();
+		parts.push('[options]');
+		if (!_.isEmpty(this.commands)) {
+			parts.push('<command>');
+		}
+		this.positionals.forEach(positional => {
+			const name = positional.printName + (positional.variadic ? '...' : '');
+			parts.push(positional.required ? `<${name}>` : `[${name}]`);
 		});
+		return parts.join(' ');
+	}
+
+	/**
+	 * Builds the complete help info: the usage, the description, the positional arguments, the flags grouped by their
+	 * sections, the subcommands, the examples and the epilog. Hidden flags are left out.
+	 * @public
+	 * @param  {string} [programName] The name of the program, defaults to the name of the script.
+	 * @return {string}
+	 */
+	getHelpString(programName) {
+		return help.render(this, programName || defaultProgramName(), this.options.help);
+	}
+
+	/**
+	 * Generates a man page in roff format, documenting all flags, positional arguments and subcommands.
+	 * @public
+	 * @param  {string} [programName] The name of the program, defaults to the name of the script.
+	 * @param  {number} [section]     The man page section, defaults to 1.
+	 * @return {string}
+	 */
+	getManPage(programName, section) {
+		return docs.manPage(this, programName || defaultProgramName(), section || 1);
+	}
 
-		helpInfos.pop();
+	/**
+	 * Generates a Markdown reference, documenting all flags, positional arguments and subcommands.
+	 * @public
+	 * @param  {string} [programName] The name of the program, defaults to the name of the script.
+	 * @return {string}
+	 */
+	getMarkdown(programName) {
+		return docs.markdown(this, programName || defaultProgramName());
+	}
 
-		const sprintfMask = '%-5s %-*s %-*s %-*s %-*s %-*s';
+	/**
+	 * Exports the flags as a JSON Schema describing the object of flag values, e.g. to validate config files.
+	 * Types without a JSON Schema counterpart, short flags and env vars are kept in 'x-' keywords.
+	 * @public
+	 * @return {Object}
+	 */
+	toJSONSchema() {
+		return jsonSchema.toSchema(this);
+	}
 
-		const ret = [];
-		ret.push('Description: ' + this.description);
-		ret.push(
-			esprintf(
-				sprintfMask,
-				'Short',
-				'Name',
-				max.printName,
-				'Type',
-				max.type,
-				'Default',
-				max.default,
-				'Required',
-				max.required,
-				'Description',
-				max.description
+	/**
+	 * Builds a parser from a JSON Schema, the properties become the flags.
+	 * @public
+	 * @param  {Object} schema    An object schema like the ones toJSONSchema generates.
+	 * @param  {Object} [options] Parser wide options, please refer to the readme
+	 * @return {ArgumentParser}
+	 */
+	static fromJSONSchema(schema, options) {
+		return new ArgumentParser(schema && schema.description, jsonSchema.fromSchema(schema), options);
+	}
+
+	/**
+	 * Collects what the completion scripts need to know about this parser and all of its subcommands.
+	 * @private
+	 * @return {Array.<Object>} One entry per command, the path of this parser is ''
+	 */
+	getCompletionTree() {
+		const flags = _.map(_.omitBy(this.config, 'hidden'), (entry, flagName) => {
+			const long = this.getLongNames(entry);
+			const short = entry.short ? '-' + entry.short : undefined;
+			return {
+				name: flagName,
+				long,
+				short,
+				names: short ? long.concat(short) : long,
+				takesValue: takesValue(entry),
+				values: entry.enum && entry.enum.map(String),
+				file: pathTypes.indexOf(valueType(entry)) > -1,
+				dynamic: Boolean(this.getCompleter(entry)),
+				description: entry.description || ''
+			};
+		});
+		const commands = _.map(this.commands, (command, name) => ({
+			name,
+			description: command.description
+		}));
+
+		const node = {
+			path: this.getCommandPath().join(' '),
+			flags,
+			flagNames: _.flatten(_.map(flags, 'names')),
+			commands,
+			words: _.map(commands, 'name').concat(
+				_.flatten(this.positionals.map(positional => (positional.enum || []).map(String)))
 			)
-		);
-		ret.push('');
-		_.forEach(helpInfos, info => {
-			ret.push(
-				esprintf(
-					sprintfMask,
-					info.short || '',
-					info.printName,
-					max.printName,
-					info.type,
-					max.type,
-					info.default,
-					max.default,
-					info.required,
-					max.required,
-					info.description,
-					max.description
-				)
-			);
-		}, this);
-		return ret.join('\n');
+		};
+		return [node].concat(_.flatten(_.map(this.commands, command => command.getCompletionTree())));
+	}
+
+	/**
+	 * Finds the function completing the values of a flag, either its own or the one of its type.
+	 * @private
+	 * @param  {Object} entry The flag config
+	 * @return {Function|undefined}
+	 */
+	getCompleter(entry) {
+		return entry.complete || this.getType(entry.type === 'array' ? entry.subType : entry.type).complete;
+	}
+
+	/**
+	 * Generates a completion script for this parser and all of its subcommands.
+	 * @public
+	 * @param  {string} shell         One of 'bash', 'zsh' and 'fish'
+	 * @param  {string} [programName] The name the program is invoked with, defaults to the name of the script.
+	 * @return {string}
+	 */
+	getCompletionScript(shell, programName) {
+		return completion.generate(shell, programName || defaultProgramName(), this.getCompletionTree());
+	}
+
+	/**
+	 * Answers a dynamic completion query by calling the 'complete' function of a flag or its type.
+	 * This is what the generated scripts call through the hidden '--get-completions' flag of run.
+	 * @public
+	 * @param  {string} commandPath The subcommands separated by spaces, '' for the main parser
+	 * @param  {string} flagName
+	 * @param  {string} current     The partial value that is being completed
+	 * @return {Promise.<Array.<string>>}
+	 */
+	getCompletions(commandPath, flagName, current) {
+		const parser = _.reduce(_.compact(commandPath.split(' ')), (curr, name) => curr && curr.commands[name], this);
+		const entry = parser && parser.config[flagName];
+		const complete = entry && parser.getCompleter(entry);
+		if (!complete) {
+			return Promise.resolve([]);
+		}
+		return Promise.resolve()
+			.then(() => complete(current || '', entry))
+			.then(values => _.map(values, String));
 	}
 
 	/**
 	 * Main function that initiates the parsing, validation and refinement of the data
 	 * @public
-	 * @param  {string} str
+	 * @param  {string} str The command line string, it is split like a POSIX shell would.
 	 * @return {Object.<string, *>}
 	 */
 	parse(str) {
-		const split = this.splitArgs(str);
-		const stopParse = split.some(flag => flag.isFlag && flag.value === 'help');
-		if (stopParse) {
+		return this.parseArgv(tokenize(str));
+	}
+
+	/**
+	 * Parses already split command line arguments, every element is treated as a single argument.
+	 * Everything after '--' is not parsed and returned in the __rest__ field.
+	 * @public
+	 * @param  {Array.<string>} argv
+	 * @return {Object.<string, *>}
+	 */
+	parseArgv(argv) {
+		this.values = {};
+		this.configLayers = null;
+		this.errors = [];
+		this.requested = null;
+
+		const restIndex = argv.indexOf('--');
+		if (restIndex > -1) {
+			this.values.__rest__ = argv.slice(restIndex + 1);
+			argv = argv.slice(0, restIndex);
+		}
+		const values = this.parseSplit(this.splitArgs(argv));
+		if (values) {
+			nestValues(values);
+		}
+		if (values && !this.errors.length && !(this.missing && this.missing.length)) {
+			this.validateValues(values);
+		}
+		if (values) {
+			this.throwErrors();
+		}
+		return values;
+	}
+
+	/**
+	 * Throws the errors collected while parsing, a single error as is, more as a MULTIPLE_ERRORS error.
+	 * @private
+	 */
+	throwErrors() {
+		if (this.errors.length === 1) {
+			throw this.errors[0];
+		}
+		if (this.errors.length) {
+			throw new ArgumentParserError(this.errors.map(error => error.message).join('\n'), {
+				code: 'MULTIPLE_ERRORS',
+				errors: this.errors
+			});
+		}
+	}
+
+	/**
+	 * Parses the already split command line, hands everything after a subcommand over to its parser.
+	 * @private
+	 * @param  {Array.<Object>} split The parsed flag/value info
+	 * @return {Object.<string, *>}
+	 */
+	parseSplit(split) {
+		this.activeParser = this;
+
+		const commandIndex = this.findCommand(split);
+		let command;
+		let commandSplit;
+		if (commandIndex > -1) {
+			command = this.commands[split[commandIndex].value];
+			commandSplit = split.slice(commandIndex + 1);
+			split = split.slice(0, commandIndex);
+		}
+
+		const stopFlag = _.find(split, flag =>
+			flag.isFlag && (flag.value === 'help' || flag.value === 'version' && Boolean(this.options.version))
+		);
+		if (stopFlag) {
+			this.getRoot().requested = stopFlag.value;
 			return false;
 		}
 
 		let skipNext = false;
+		const positionals = [];
 
 		_.forEach(split, (curr, index) => {
 			if (skipNext) {
 				skipNext = false;
 				return;
 			}
-			const next = split[index + 1];
-			if (!curr.isFlag && next) {
-				fError('Unhandled value %s', curr.value);
-			} else if (!curr.isFlag && !next && (!split[index - 1] || split[index - 1] && !split[index - 1].isFlag)) {
-				this.values.__append__ = curr.value;
+			if (!curr.isFlag) {
+				positionals.push(curr.value);
 				return;
 			}
-			curr.value = _.camelCase(curr.value);
-			this.handleFlag(curr, next);
+			skipNext = this.handleFlag(curr, split[index + 1]);
+		});
+
+		this.handlePositionals(positionals);
 
-			if (next && !next.isFlag) {
-				skipNext = true;
+		if (command) {
+			command.values = this.values;
+			const values = command.parseSplit(commandSplit);
+			this.activeParser = command.activeParser;
+			if (!values) {
+				return false;
 			}
+			values.__command__ = [command.name].concat(values.__command__ || []);
+		} else if (!_.isEmpty(this.commands)) {
+			this.values.__command__ = [];
+		}
+
+		this.handleUnsetValues(Boolean(command));
+		return this.values;
+	}
+
+	/**
+	 * Sets the values implied by the set flags, then checks conflicts, requirements and exclusive groups.
+	 * Only flags that were set count, defaults and boolean flags that are false do not.
+	 * @private
+	 * @param  {Object.<string, Object>} flags The flag configs to check
+	 */
+	handleRelations(flags) {
+		const isSet = name => _.has(this.values, name) && this.values[name] !== false;
+
+		this.applyImplies(flags);
+
+		//implied flags count as set
+		const setFlags = _.keys(flags).filter(isSet);
+		const reported = {};
+		setFlags.forEach(name => {
+			flags[name].conflicts.filter(isSet).forEach(other => this.attempt(() => {
+				const pair = [name, other].sort().join();
+				if (!reported[pair]) {
+					reported[pair] = true;
+					pError(
+						{code: 'CONFLICTING_FLAGS', flag: name, value: other},
+						'Flag \'%s\' cannot be used together with \'%s\'',
+						name,
+						other
+					);
+				}
+			}));
+			flags[name].requires.filter(other => !isSet(other)).forEach(other => this.attempt(() => {
+				pError(
+					{code: 'MISSING_DEPENDENCY', flag: name, expected: other},
+					'Flag \'%s\' requires \'%s\' to be set',
+					name,
+					other
+				);
+			}));
 		});
 
-		_.forEach(this.config, (v, k) => {
-			if (!this.values[k]) {
-				if (v.required) {
-					fError('Flag \'%s\' is required but was not set', k);
+		this.exclusiveGroups.forEach(group => this.attempt(() => {
+			const set = group.flags.filter(isSet);
+			if (set.length > 1) {
+				pError(
+					{code: 'CONFLICTING_FLAGS', flag: set[1], value: set[0], expected: group.flags},
+					'Only one of \'%s\' can be set, got \'%s\'',
+					group.flags.join('\', \''),
+					set.join('\' and \'')
+				);
+			}
+			if (!set.length && group.required) {
+				pError(
+					{code: 'MISSING_REQUIRED', flag: group.name, expected: group.flags},
+					'One of \'%s\' is required but none was set',
+					group.flags.join('\', \'')
+				);
+			}
+		}));
+	}
+
+	/**
+	 * Sets the values implied by the set flags, unless they already have a value.
+	 * @private
+	 * @param  {Object.<string, Object>} flags    The flag configs whose implies are applied
+	 * @param  {Object.<string, Object>} [targets] Only these flags get implied values, defaults to all
+	 */
+	applyImplies(flags, targets) {
+		const errors = this.getRoot().errors;
+		_.keys(flags)
+			.filter(name => _.has(this.values, name) && this.values[name] !== false)
+			.forEach(name => _.forEach(flags[name].implies, (value, other) => this.attempt(() => {
+				if (targets && !targets[other]) {
+					return;
+				}
+				if (!_.has(this.values, other) && !_.some(errors, {flag: other})) {
+					this.storeValue(this.config[other], other, value);
+				}
+			})));
+	}
+
+	/**
+	 * Whether the requiredIf or requiredUnless condition of a flag makes it required.
+	 * @private
+	 * @param  {Object} entry The flag config
+	 * @return {boolean}
+	 */
+	isConditionallyRequired(entry) {
+		if (entry.requiredIf && matchesCondition(entry.requiredIf, this.values)) {
+			return true;
+		}
+		return Boolean(entry.requiredUnless && !matchesCondition(entry.requiredUnless, this.values));
+	}
+
+	/**
+	 * Runs the validate functions of the parser and the parsed subcommands once all values are resolved.
+	 * Errors are attributed to a flag if they have a flag field, the function may also return an object
+	 * of flag names and error messages, entries without a message are ignored.
+	 * @private
+	 * @param  {Object.<string, *>} values
+	 */
+	validateValues(values) {
+		const parsers = this.getParsedCommands(values);
+		const failures = _.flatten(parsers.filter(parser => parser.options.validate).map(parser => {
+			try {
+				return _.map(_.pickBy(parser.options.validate(values)), (message, flag) => ({flag, message}));
+			} catch (error) {
+				return [error instanceof ArgumentParserError ? {error} : {flag: error.flag, message: error.message}];
+			}
+		}));
+
+		failures.forEach(failure => this.attempt(() => {
+			if (failure.error) {
+				throw failure.error;
+			}
+			if (failure.flag === undefined) {
+				pError({code: 'VALIDATION_FAILED'}, 'Validation failed, \'%s\'', failure.message);
+			}
+			pError(
+				{code: 'VALIDATION_FAILED', flag: failure.flag, value: values[failure.flag]},
+				'Validator failed for argument for \'%s\', \'%s\'',
+				failure.flag,
+				failure.message
+			);
+		}));
+	}
+
+	/**
+	 * Lists this parser and the subcommands that were parsed, in order.
+	 * @private
+	 * @param  {Object.<string, *>} values
+	 * @return {Array.<ArgumentParser>}
+	 */
+	getParsedCommands(values) {
+		return (values.__command__ || []).reduce(
+			(list, name) => list.concat(_.last(list).commands[name]),
+			[this]
+		);
+	}
+
+	/**
+	 * Resolves flags and positional arguments that were not set on the command line,
+	 * using environment variables, config files and defaults, and checks the required ones.
+	 * @private
+	 * @param  {boolean} hasCommand Whether a subcommand was parsed, it takes care of the global flags.
+	 */
+	handleUnsetValues(hasCommand) {
+		const root = this.getRoot();
+		const errors = root.errors;
+		const flags = _.omitBy(this.config, v => hasCommand && v.global);
+		_.forEach(flags, (v, k) => this.attempt(() => {
+			if (_.some(errors, {flag: k})) {
+				return;
+			}
+			if (!_.has(this.values, k) && v.env) {
+				this.handleEnv(v, k);
+			}
+			if (!_.has(this.values, k)) {
+				this.handleConfigValue(v, k);
+			}
+		}));
+
+		//the items of repeatable arrays are checked once all flags are collected
+		_.forEach(flags, (v, k) => this.attempt(() => {
+			if (v.type === 'array' && v.multiple && _.has(this.values, k) && !_.some(errors, {flag: k})) {
+				this.checkItems(v, this.values[k], k);
+			}
+		}));
+
+		//the defaults of the global flags are set here, so the values implied by the parent commands come first
+		for (let parent = this.parent; parent; parent = parent.parent) {
+			parent.applyImplies(parent.config, this.globalFlags);
+		}
+		this.handleRelations(flags);
+
+		_.forEach(flags, (v, k) => this.attempt(() => {
+			//flags that failed validation are not reported as missing again
+			if (_.some(errors, {flag: k})) {
+				return;
+			}
+			if (!_.has(this.values, k)) {
+				if (v.required && root.missing) {
+					root.missing.push({parser: this, entry: v, name: k});
+				} else if (v.required) {
+					missingRequired(k, false);
 				} else if (v.default !== undefined) {
-					this.values[k] = this.handleValue(v, undefined, k);
+					this.storeValue(v, k, undefined);
 				}
 			}
+		}));
+
+		this.handleConditions(flags);
+
+		this.positionals.forEach(positional => this.attempt(() => {
+			const name = positional.name;
+			if (_.has(this.values, name) || _.some(errors, {flag: name})) {
+				return;
+			}
+			if (positional.required && root.missing) {
+				root.missing.push({parser: this, entry: positional, name, positional: true});
+			} else if (positional.required) {
+				missingRequired(name, true);
+			} else if (positional.default !== undefined) {
+				this.values[name] = positional.variadic ?
+					[].concat(positional.default).map(value => this.handleValue(positional, value, name)) :
+					this.handleValue(positional, undefined, name);
+			}
+		}));
+	}
+
+	/**
+	 * Checks the requiredIf and requiredUnless conditions, once the defaults are set.
+	 * @private
+	 * @param  {Object.<string, Object>} flags The flag configs to check
+	 */
+	handleConditions(flags) {
+		const root = this.getRoot();
+		const errors = root.errors;
+		_.forEach(flags, (v, k) => this.attempt(() => {
+			if (_.has(this.values, k) || _.some(errors, {flag: k}) || !this.isConditionallyRequired(v)) {
+				return;
+			}
+			if (root.missing) {
+				root.missing.push({parser: this, entry: v, name: k});
+				return;
+			}
+			const condition = v.requiredIf ?
+				describeCondition(v.requiredIf) && ' if ' + describeCondition(v.requiredIf) :
+				describeCondition(v.requiredUnless) && ' unless ' + describeCondition(v.requiredUnless);
+			pError({code: 'MISSING_REQUIRED', flag: k}, 'Flag \'%s\' is required%s but was not set', k, condition);
+		}));
+	}
+
+	/**
+	 * Checks the relations and conditions of the parsed commands again once the prompted values are set.
+	 * @private
+	 * @param  {Object.<string, *>} values
+	 */
+	handlePromptedValues(values) {
+		const parsers = this.getParsedCommands(values);
+		parsers.forEach((parser, index) => {
+			const flags = _.omitBy(parser.config, v => index < parsers.length - 1 && v.global);
+			parser.handleRelations(flags);
+			parser.handleConditions(flags);
 		});
-		return this.values;
 	}
 
 	/**
-	 * Utility function that directory passes the fixed command line args to the parse function.
-	 * @return {Object.<string, *>}
+	 * Asks for the value of a missing required flag or positional argument until a valid one is entered.
+	 * @private
+	 * @param  {Prompter} prompter
+	 * @param  {{entry: Object, name: string, positional: boolean}} missing
+	 * @return {Promise}
 	 */
-	run() {
-		return this.parse(
-			process.argv.slice(2)
-			.map(segment => {
-				if (segment.match(/\s+/)) {
-					return `"${segment}"`;
+	promptValue(prompter, missing) {
+		const entry = missing.entry;
+		const name = missing.name;
+		const printName = missing.positional ? `<${entry.printName}>` : '--' + entry.printName;
+		const question = entry.description ? `${entry.description} (${printName})` : printName;
+
+		return prompter.ask(question, {choices: entry.enum, secret: entry.secret}).then(answer => {
+			if (answer === null) {
+				missingRequired(name, missing.positional);
+			}
+			if (answer === '') {
+				prompter.write('A value is required');
+				return this.promptValue(prompter, missing);
+			}
+			try {
+				if (!missing.positional) {
+					this.storeValue(entry, name, answer);
+				} else if (entry.variadic) {
+					this.values[name] = tokenize(answer).map(value => this.handleValue(entry, value, name));
+				} else {
+					this.values[name] = this.handleValue(entry, answer, name);
+				}
+			} catch (error) {
+				if (!(error instanceof ArgumentParserError)) {
+					throw error;
 				}
-				return segment;
+				prompter.write(error.message);
+				return this.promptValue(prompter, missing);
 			}
+			return undefined;
+		});
+	}
+
+	/**
+	 * Like parseArgv, but asks for missing required flags and positional arguments when the prompt option is set.
+	 * @public
+	 * @param  {Array.<string>} argv
+	 * @return {Promise.<Object.<string, *>>}
+	 */
+	parseArgvAsync(argv) {
+		let streams = this.options.prompt;
+		if (streams === true) {
+			streams = process.stdin.isTTY ? {input: process.stdin, output: process.stdout} : null;
+		}
+
+		this.missing = streams ? [] : null;
+		let values;
+		let missing;
+		try {
+			values = this.parseArgv(argv);
+		} catch (error) {
+			return Promise.reject(error);
+		} finally {
+			missing = this.missing;
+			this.missing = null;
+		}
+		if (!values || !missing || !missing.length) {
+			return Promise.resolve(values);
+		}
+
+		const prompter = new Prompter(streams.input, streams.output);
+		return missing.reduce(
+			(promise, curr) => promise.then(() => curr.parser.promptValue(prompter, curr)),
+			Promise.resolve()
 		)
-		.join(' '));
+		.then(() => {
+			prompter.close();
+			this.handlePromptedValues(values);
+			nestValues(values);
+			this.validateValues(values);
+			this.throwErrors();
+			return values;
+		}, error => {
+			prompter.close();
+			throw error;
+		});
+	}
+
+	/**
+	 * Like parse, but asks for missing required flags and positional arguments when the prompt option is set.
+	 * @public
+	 * @param  {string} str The command line string, it is split like a POSIX shell would.
+	 * @return {Promise.<Object.<string, *>>}
+	 */
+	parseAsync(str) {
+		try {
+			return this.parseArgvAsync(tokenize(str));
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+
+	/**
+	 * Like run, but asks for missing required flags and positional arguments when the prompt option is set.
+	 * @public
+	 * @return {Promise.<Object.<string, *>>}
+	 */
+	runAsync() {
+		return this.parseArgvAsync(process.argv.slice(2));
+	}
+
+	/**
+	 * Returns the version option, if it is true the version of the nearest package.json,
+	 * searched for from the directory of the script (the working directory without script) upwards.
+	 * Symlinks to the script, like the ones npm creates for bins, are resolved first.
+	 * @public
+	 * @return {string}
+	 */
+	getVersion() {
+		const version = this.getRoot().options.version;
+		if (typeof version === 'string') {
+			return version;
+		}
+		const dir = process.argv[1] ? path.dirname(realPath(process.argv[1])) : process.cwd();
+		const files = configFiles.findRcFiles('package.json', dir);
+		const packageJson = _.find(files.map(configFiles.parseFile), 'version');
+		if (!packageJson) {
+			fError('Could not find a package.json with a version');
+		}
+		return packageJson.version;
+	}
+
+	/**
+	 * Runs the complete lifecycle of a command line program: prints the help for --help and the version for --version
+	 * and exits with 0, prints parse errors and exits with 2, answers completion queries.
+	 * Errors that are not ArgumentParserErrors are thrown.
+	 * @public
+	 * @param  {Object}          [io]
+	 * @param  {Array.<string>}  [io.argv]        Defaults to the command line arguments
+	 * @param  {stream.Writable} [io.stdout]      Defaults to process.stdout
+	 * @param  {stream.Writable} [io.stderr]      Defaults to process.stderr
+	 * @param  {Function}        [io.exit]        Called with the exit code, defaults to process.exit
+	 * @param  {string}          [io.programName] Defaults to the name of the script
+	 * @return {Object.<string, *>|boolean} The values, false if the program should exit
+	 */
+	runAndExit(io) {
+		io = io || {};
+		const argv = io.argv || process.argv.slice(2);
+		const stdout = io.stdout || process.stdout;
+		const stderr = io.stderr || process.stderr;
+		const exit = io.exit || (code => process.exit(code)); //eslint-disable-line no-process-exit
+		const programName = io.programName || defaultProgramName();
+
+		if (argv[0] === completion.queryFlag) {
+			this.getCompletions(argv[1] || '', argv[2], argv[3]).then(values => {
+				stdout.write(values.length ? values.join('\n') + '\n' : '');
+				exit(0);
+			}, error => {
+				stderr.write(`Completion failed: ${error.message}\n`);
+				exit(1);
+			});
+			return false;
+		}
+
+		let values;
+		try {
+			values = this.parseArgv(argv);
+		} catch (error) {
+			if (!(error instanceof ArgumentParserError)) {
+				throw error;
+			}
+			const command = [programName].concat(this.activeParser.getCommandPath()).join(' ');
+			stderr.write(`${programName}: ${error.message}\nRun '${command} --help' for usage.\n`);
+			exit(2);
+			return false;
+		}
+		if (values === false) {
+			const output = this.requested === 'version' ?
+				this.getVersion() :
+				this.activeParser.getHelpString(programName);
+			stdout.write(output + '\n');
+			exit(0);
+		}
+		return values;
+	}
+
+	/**
+	 * Utility function that directly passes the command line args to the parseArgv function.
+	 * Completion queries of the generated completion scripts are answered on stdout, false is returned then.
+	 * @return {Object.<string, *>}
+	 */
+	run() {
+		const argv = process.argv.slice(2);
+		if (argv[0] === completion.queryFlag) {
+			this.getCompletions(argv[1] || '', argv[2], argv[3])
+				.then(values => process.stdout.write(values.length ? values.join('\n') + '\n' : ''))
+				.catch(error => process.stderr.write(`Completion failed: ${error.message}\n`));
+			return false;
+		}
+		return this.parseArgv(argv);
 	}
 };
+
+module.exports.ArgumentParserError = ArgumentParserError;
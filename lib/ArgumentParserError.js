@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Error thrown for invalid command lines, environment variables and config files.
+ * @constructor
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {string} [details.code]     Machine readable error code, e.g. 'UNKNOWN_FLAG'
+ * @param {string} [details.flag]     The name of the flag or positional argument the error is about
+ * @param {*}      [details.value]    The offending value
+ * @param {*}      [details.expected] What was expected instead, e.g. the enum values or the type
+ * @param {Array.<string>} [details.suggestions] What was most likely meant, e.g. for misspelled flags
+ * @param {Array.<ArgumentParserError>} [details.errors] All collected errors when using collectErrors
+ */
+module.exports = class ArgumentParserError extends Error {
+	constructor(message, details) {
+		super(message);
+		details = details || {};
+
+		this.name = 'ArgumentParserError';
+		this.message = message;
+		this.code = details.code;
+		this.flag = details.flag;
+		this.value = details.value;
+		this.expected = details.expected;
+		if (details.suggestions) {
+			this.suggestions = details.suggestions;
+		}
+		if (details.errors) {
+			this.errors = details.errors;
+		}
+		Error.captureStackTrace(this, this.constructor);
+	}
+};
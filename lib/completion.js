@@ -0,0 +1,258 @@
+'use strict';
+
+const util = require('util');
+
+/**
+ * The hidden flag the generated scripts use to query dynamic completions from the program.
+ * @type {string}
+ */
+const queryFlag = '--get-completions';
+
+/**
+ * Quotes a string for bash, zsh and fish using single quotes.
+ * @param  {string} str
+ * @return {string}
+ */
+function quote(str) {
+	return `'${String(str).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Quotes a string for fish, which escapes single quotes with a backslash.
+ * @param  {string} str
+ * @return {string}
+ */
+function quoteFish(str) {
+	return `'${String(str).replace(/(['\\])/g, '\\$1')}'`;
+}
+
+/**
+ * Builds a name that can be used in shell function names.
+ * @param  {string} program
+ * @return {string}
+ */
+function identifier(program) {
+	return program.replace(/[^\w]/g, '_');
+}
+
+/**
+ * Builds the case pattern matching all command paths, e.g. '" db"|" db migrate"'.
+ * @param  {Array.<Object>} tree
+ * @return {string}
+ */
+function commandPathPattern(tree) {
+	const paths = tree.filter(node => node.path).map(node => `" ${node.path}"`);
+	return paths.length ? paths.join('|') : '"__none__"';
+}
+
+/**
+ * Returns all flags of a command node that take a value with their completion, grouped by kind.
+ * @param  {Object} node
+ * @param  {Function} fn Called with the flag and the pattern of its names, e.g. '--level|-l'
+ * @return {Array.<string>}
+ */
+function mapValueFlags(node, fn) {
+	return node.flags.filter(flag => flag.takesValue).map(flag => fn(flag, flag.names.join('|')));
+}
+
+/**
+ * Generates the bash completion script.
+ * @param  {string}         program
+ * @param  {Array.<Object>} tree
+ * @return {string}
+ */
+function bash(program, tree) {
+	const fn = `_${identifier(program)}_completion`;
+	const ret = [
+		`# bash completion for ${program}`,
+		`${fn}() {`,
+		'\tlocal cur prev cmdpath word i',
+		'\tCOMPREPLY=()',
+		'\tcur="${COMP_WORDS[COMP_CWORD]}"',
+		'\tprev="${COMP_WORDS[COMP_CWORD-1]}"',
+		'\tcmdpath=""',
+		'\tfor ((i = 1; i < COMP_CWORD; i++)); do',
+		'\t\tword="${COMP_WORDS[i]}"',
+		'\t\tcase "$cmdpath $word" in',
+		`\t\t\t${commandPathPattern(tree)}) cmdpath="$cmdpath $word";;`,
+		'\t\tesac',
+		'\tdone',
+		'\tcase "$cmdpath" in'
+	];
+
+	tree.forEach(node => {
+		ret.push(`\t"${node.path ? ' ' + node.path : ''}")`);
+		ret.push('\t\tcase "$prev" in');
+		mapValueFlags(node, (flag, pattern) => {
+			let action = '';
+			if (flag.values) {
+				action = `COMPREPLY=($(compgen -W ${quote(flag.values.join(' '))} -- "$cur"))`;
+			} else if (flag.dynamic) {
+				action = 'COMPREPLY=($(compgen -W "$("${COMP_WORDS[0]}" ' +
+					`${queryFlag} ${quote(node.path)} ${flag.name} "$cur")" -- "$cur"))`;
+			} else if (flag.file) {
+				action = 'COMPREPLY=($(compgen -f -- "$cur"))';
+			}
+			return `\t\t\t${pattern}) ${action}${action ? '; ' : ''}return 0;;`;
+		}).forEach(line => ret.push(line));
+		ret.push('\t\tesac');
+		ret.push('\t\tif [[ "$cur" == -* ]]; then');
+		ret.push(`\t\t\tCOMPREPLY=($(compgen -W ${quote(node.flagNames.join(' '))} -- "$cur"))`);
+		if (node.words.length) {
+			ret.push('\t\telse');
+			ret.push(`\t\t\tCOMPREPLY=($(compgen -W ${quote(node.words.join(' '))} -- "$cur"))`);
+		}
+		ret.push('\t\tfi');
+		ret.push('\t\t;;');
+	});
+
+	ret.push('\tesac');
+	ret.push('\treturn 0');
+	ret.push('}');
+	ret.push(`complete -o default -F ${fn} ${program}`);
+	return ret.join('\n') + '\n';
+}
+
+/**
+ * Generates the zsh completion script.
+ * @param  {string}         program
+ * @param  {Array.<Object>} tree
+ * @return {string}
+ */
+function zsh(program, tree) {
+	const fn = `_${identifier(program)}`;
+	const ret = [
+		`#compdef ${program}`,
+		`${fn}() {`,
+		'\tlocal cur prev cmdpath word i',
+		'\tcur="${words[CURRENT]}"',
+		'\tprev="${words[CURRENT-1]}"',
+		'\tcmdpath=""',
+		'\tfor ((i = 2; i < CURRENT; i++)); do',
+		'\t\tword="${words[i]}"',
+		'\t\tcase "$cmdpath $word" in',
+		`\t\t\t${commandPathPattern(tree)}) cmdpath="$cmdpath $word";;`,
+		'\t\tesac',
+		'\tdone',
+		'\tcase "$cmdpath" in'
+	];
+
+	tree.forEach(node => {
+		ret.push(`\t"${node.path ? ' ' + node.path : ''}")`);
+		ret.push('\t\tcase "$prev" in');
+		mapValueFlags(node, (flag, pattern) => {
+			let action = '';
+			if (flag.values) {
+				action = `compadd -- ${flag.values.map(quote).join(' ')}`;
+			} else if (flag.dynamic) {
+				action = 'compadd -- ${(f)"$("${words[1]}" ' +
+					`${queryFlag} ${quote(node.path)} ${flag.name} "$cur")"}`;
+			} else {
+				action = '_files';
+			}
+			return `\t\t\t${pattern}) ${action}; return;;`;
+		}).forEach(line => ret.push(line));
+		ret.push('\t\tesac');
+		ret.push('\t\tif [[ "$cur" == -* ]]; then');
+		ret.push(`\t\t\tcompadd -- ${node.flagNames.map(quote).join(' ')}`);
+		ret.push('\t\telse');
+		if (node.words.length) {
+			ret.push(`\t\t\tcompadd -- ${node.words.map(quote).join(' ')}`);
+		}
+		ret.push('\t\t\t_files');
+		ret.push('\t\tfi');
+		ret.push('\t\t;;');
+	});
+
+	ret.push('\tesac');
+	ret.push('}');
+	ret.push(`compdef ${fn} ${program}`);
+	return ret.join('\n') + '\n';
+}
+
+/**
+ * Generates the fish completion script.
+ * @param  {string}         program
+ * @param  {Array.<Object>} tree
+ * @return {string}
+ */
+function fish(program, tree) {
+	const fn = `__${identifier(program)}_using_path`;
+	const dynamic = `__${identifier(program)}_dynamic`;
+	const ret = [
+		`# fish completion for ${program}`,
+		`function ${fn}`,
+		'\tset -l cmdpath ""',
+		'\tfor word in (commandline -opc)[2..-1]',
+		'\t\tswitch "$cmdpath $word"',
+		`\t\t\tcase ${tree.filter(node => node.path).map(node => quoteFish(' ' + node.path)).join(' ') || '__none__'}`,
+		'\t\t\t\tset cmdpath "$cmdpath $word"',
+		'\t\tend',
+		'\tend',
+		'\ttest "$cmdpath" = "$argv[1]"',
+		'end',
+		//fish does not allow command substitutions as command, the program is called by a function
+		`function ${dynamic}`,
+		'\tset -l prog (commandline -opc)[1]',
+		'\tset -l current (commandline -ct)',
+		`\t$prog ${queryFlag} "$argv[1]" "$argv[2]" "$current"`,
+		'end'
+	];
+
+	tree.forEach(node => {
+		const condition = `-n ${quoteFish(`${fn} ${quote(node.path ? ' ' + node.path : '')}`)}`;
+		const prefix = `complete -c ${program} ${condition}`;
+		node.flags.forEach(flag => {
+			const parts = [prefix];
+			flag.long.forEach(name => parts.push('-l ' + name.slice(2)));
+			if (flag.short) {
+				parts.push('-s ' + flag.short.slice(1));
+			}
+			if (flag.values) {
+				parts.push('-x -a ' + quoteFish(flag.values.join(' ')));
+			} else if (flag.dynamic) {
+				parts.push('-x -a ' + quoteFish(`(${dynamic} ${quote(node.path)} ${flag.name})`));
+			} else if (flag.file) {
+				parts.push('-r -F');
+			} else if (flag.takesValue) {
+				parts.push('-r');
+			}
+			if (flag.description) {
+				parts.push('-d ' + quoteFish(flag.description));
+			}
+			ret.push(parts.join(' '));
+		});
+		node.commands.forEach(command => {
+			ret.push(`${prefix} -f -a ${quoteFish(command.name)} -d ${quoteFish(command.description)}`);
+		});
+		if (node.words.length > node.commands.length) {
+			ret.push(`${prefix} -a ${quoteFish(node.words.slice(node.commands.length).join(' '))}`);
+		}
+	});
+	return ret.join('\n') + '\n';
+}
+
+const generators = {
+	bash,
+	zsh,
+	fish
+};
+
+/**
+ * Generates a completion script.
+ * @param  {string}         shell   One of bash, zsh and fish
+ * @param  {string}         program The name of the program as it is invoked
+ * @param  {Array.<Object>} tree    The completion info of every command, see ArgumentParser#getCompletionTree
+ * @return {string}
+ */
+function generate(shell, program, tree) {
+	if (!generators[shell]) {
+		throw new Error(util.format('Unsupported shell \'%s\', must be one of [%s]', shell, Object.keys(generators)));
+	}
+	return generators[shell](program, tree);
+}
+
+module.exports = {
+	queryFlag,
+	generate
+};
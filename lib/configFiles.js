@@ -0,0 +1,150 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const ArgumentParserError = require('./ArgumentParserError');
+const utils = require('./utils');
+
+const fError = utils.fError;
+const trimQuotes = utils.trimQuotes;
+
+/**
+ * Utility function that throws a string formatted ArgumentParserError about a config file
+ * @param {string} file The path of the config file, followed by the format arguments
+ */
+function configError(file) {
+	throw new ArgumentParserError(util.format.apply(undefined, Array.prototype.slice.call(arguments, 1)), {
+		code: 'INVALID_CONFIG_FILE',
+		value: file
+	});
+}
+
+/**
+ * Parses INI data, sections (including dotted ones like [db.migrate]) become nested objects.
+ * @param  {string} data
+ * @return {Object}
+ */
+function parseIni(data) {
+	const ret = {};
+	let section = ret;
+	data.split(/\r?\n/).forEach((line, index) => {
+		line = line.trim();
+		if (!line || line[0] === ';' || line[0] === '#') {
+			return;
+		}
+		const sectionMatch = /^\[([^\]]+)\]$/.exec(line);
+		if (sectionMatch) {
+			section = ret;
+			sectionMatch[1].split('.').forEach(name => {
+				name = name.trim();
+				section[name] = section[name] || {};
+				section = section[name];
+			});
+			return;
+		}
+		const separator = line.indexOf('=');
+		if (separator < 1) {
+			fError('Invalid line %d, expected key = value', index + 1);
+		}
+		section[line.slice(0, separator).trim()] = trimQuotes(line.slice(separator + 1).trim());
+	});
+	return ret;
+}
+
+/**
+ * Parses dotenv data, supports comments, 'export' prefixes and quoted values.
+ * @param  {string} data
+ * @return {Object.<string, string>}
+ */
+function parseDotEnv(data) {
+	const ret = {};
+	data.split(/\r?\n/).forEach((line, index) => {
+		line = line.trim();
+		if (!line || line[0] === '#') {
+			return;
+		}
+		const match = /^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/.exec(line);
+		if (!match) {
+			fError('Invalid line %d, expected KEY=VALUE', index + 1);
+		}
+		let value = match[2];
+		if (value[0] === '"') {
+			value = trimQuotes(value).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+		} else if (value[0] === '\'') {
+			value = trimQuotes(value);
+		} else {
+			value = value.replace(/\s+#.*$/, '');
+		}
+		ret[match[1]] = value;
+	});
+	return ret;
+}
+
+/**
+ * Reads and parses a configuration file.
+ * The format is determined by the extension (.json, .ini, .env), files without a known extension
+ * like rc files are parsed as JSON if they start with '{' and as INI otherwise.
+ * @param  {string} file
+ * @return {Object}
+ */
+function parseFile(file) {
+	let data;
+	try {
+		data = fs.readFileSync(file, 'utf8');
+	} catch (error) {
+		configError(file, 'Could not read config file %s, %s', file, error.message);
+	}
+
+	const ext = path.extname(file).toLowerCase();
+	try {
+		if (ext === '.json' || ext !== '.ini' && ext !== '.env' && /^\s*\{/.test(data)) {
+			return JSON.parse(data);
+		}
+		if (ext === '.env' || path.basename(file) === '.env') {
+			return parseDotEnv(data);
+		}
+		return parseIni(data);
+	} catch (error) {
+		return configError(file, 'Could not parse config file %s, %s', file, error.message);
+	}
+}
+
+/**
+ * Finds rc files, first from the working directory upwards, then in the home directory.
+ * @param  {string} name The name of the rc file, e.g. '.myapprc'
+ * @param  {string} cwd
+ * @param  {string} home
+ * @return {Array.<string>} The paths of the existing files, nearest first
+ */
+function findRcFiles(name, cwd, home) {
+	const ret = [];
+	let dir = path.resolve(cwd);
+	for (;;) {
+		const file = path.join(dir, name);
+		if (fs.existsSync(file)) {
+			ret.push(file);
+		}
+		const parent = path.dirname(dir);
+		if (parent === dir) {
+			break;
+		}
+		dir = parent;
+	}
+
+	if (home) {
+		const file = path.join(path.resolve(home), name);
+		if (ret.indexOf(file) === -1 && fs.existsSync(file)) {
+			ret.push(file);
+		}
+	}
+	return ret;
+}
+
+module.exports = {
+	parseFile,
+	parseIni,
+	parseDotEnv,
+	findRcFiles
+};
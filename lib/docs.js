@@ -0,0 +1,261 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Escapes text for roff, hyphens are escaped so they are not rendered as dashes.
+ * @param  {string} str
+ * @return {string}
+ */
+function roff(str) {
+	return String(str)
+		.replace(/\\/g, '\\e')
+		.replace(/-/g, '\\-')
+		.replace(/^([.'])/gm, '\\&$1');
+}
+
+/**
+ * Escapes text for Markdown table cells.
+ * @param  {string} str
+ * @return {string}
+ */
+function cell(str) {
+	return String(str).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Normalizes the examples parser option, examples are either strings or {command, description} objects.
+ * @param  {Object} options The parser options
+ * @return {Array.<{command: string, description: string}>}
+ */
+function getExamples(options) {
+	return (options.examples || []).map(example => {
+		if (typeof example === 'string') {
+			return {command: example, description: ''};
+		}
+		return example;
+	});
+}
+
+/**
+ * Lists the flag names of a help info, e.g. ['-v', '--[no-]verbose', '--[no-]loud'].
+ * @param  {Object} info The help info as returned by getFlagHelpInfo
+ * @return {Array.<string>}
+ */
+function flagNames(info) {
+	const long = [info.printName].concat(info.aliases || []).map(name => '--' + name);
+	return (info.short ? ['-' + info.short] : []).concat(long);
+}
+
+/**
+ * Lists the type, default, requirement, env var and relations of a help info, e.g. ['type: integer', 'default: 80'].
+ * @param  {Object} info The help info as returned by getFlagHelpInfo or getEntryHelpInfo
+ * @return {Array.<string>}
+ */
+function attributes(info) {
+	const ret = [];
+	if (info.type) {
+		ret.push('type: ' + info.type);
+	}
+	if (info.default !== '') {
+		ret.push('default: ' + info.default);
+	}
+	if (info.required) {
+		ret.push('required');
+	}
+	if (info.env) {
+		ret.push('env: ' + info.env);
+	}
+	return ret.concat(info.relations || []);
+}
+
+/**
+ * Collects the parser and all of its subcommands, depth first.
+ * @param  {ArgumentParser} parser
+ * @return {Array.<ArgumentParser>}
+ */
+function allCommands(parser) {
+	return _.flatten(_.map(parser.commands, command => [command].concat(allCommands(command))));
+}
+
+/**
+ * Generates the roff paragraph documenting a single flag or positional argument.
+ * @param  {string} term The formatted name
+ * @param  {Object} info The help info as returned by getFlagHelpInfo or getEntryHelpInfo
+ * @return {Array.<string>}
+ */
+function manEntry(term, info) {
+	const ret = ['.TP', term, roff(info.description) || '\\&'];
+	const attrs = attributes(info);
+	if (attrs.length) {
+		ret.push('.br', roff(attrs.join(', ')));
+	}
+	return ret;
+}
+
+/**
+ * Generates the roff lines documenting the flags and positional arguments of a parser.
+ * @param  {ArgumentParser} parser
+ * @return {Array.<string>}
+ */
+function manOptions(parser) {
+	const flags = _.map(_.omitBy(parser.config, 'hidden'), (entry, flagName) => {
+		const info = parser.getFlagHelpInfo(flagName);
+		return manEntry('.B ' + flagNames(info).map(roff).join(', '), info);
+	});
+	const positionals = parser.positionals.map(positional => {
+		const info = parser.getEntryHelpInfo(positional);
+		return manEntry('.I ' + roff(info.printName + (positional.variadic ? '...' : '')), info);
+	});
+	return _.flatten(flags.concat(positionals));
+}
+
+/**
+ * Generates a man page in roff format.
+ * @param  {ArgumentParser} parser
+ * @param  {string}         program The name of the program
+ * @param  {number|string}  section The man page section
+ * @return {string}
+ */
+function manPage(parser, program, section) {
+	let ret = [
+		`.TH ${roff(program.toUpperCase())} ${section}`,
+		'.SH NAME',
+		roff(program) + (parser.description ? ' \\- ' + roff(parser.description.split('\n')[0]) : ''),
+		'.SH SYNOPSIS',
+		`.B ${roff(program)}`,
+		roff(parser.getUsageString())
+	];
+	if (parser.description.indexOf('\n') > -1) {
+		ret.push('.SH DESCRIPTION', roff(parser.description));
+	}
+	ret.push('.SH OPTIONS');
+	ret = ret.concat(manOptions(parser));
+
+	const commands = allCommands(parser);
+	if (commands.length) {
+		ret.push('.SH COMMANDS');
+		commands.forEach(command => {
+			ret.push(`.SS "${roff(program)} ${roff(command.getUsageString())}"`);
+			ret.push(roff(command.description) || '\\&');
+			ret = ret.concat(manOptions(command));
+		});
+	}
+
+	const examples = getExamples(parser.options);
+	if (examples.length) {
+		ret.push('.SH EXAMPLES');
+		examples.forEach(example => {
+			ret.push('.PP');
+			if (example.description) {
+				ret.push(roff(example.description), '.PP');
+			}
+			ret.push('.RS', '.nf', roff(example.command), '.fi', '.RE');
+		});
+	}
+
+	if (parser.options.epilog) {
+		ret.push('.SH NOTES', roff(parser.options.epilog));
+	}
+	return ret.join('\n') + '\n';
+}
+
+/**
+ * Generates the Markdown table row documenting a single flag or positional argument.
+ * @param  {string} name The formatted name
+ * @param  {Object} info The help info as returned by getFlagHelpInfo or getEntryHelpInfo
+ * @return {string}
+ */
+function markdownRow(name, info) {
+	return '| ' + [
+		name,
+		cell(info.type),
+		info.default === '' ? '' : cell(`\`${info.default}\``),
+		info.required ? 'yes' : '',
+		info.env ? `\`${info.env}\`` : '',
+		cell([info.description].concat((info.relations || []).map(relation => `[${relation}]`)).join(' ').trim())
+	].join(' | ') + ' |';
+}
+
+/**
+ * Generates the Markdown tables documenting the flags and positional arguments of a parser.
+ * @param  {ArgumentParser} parser
+ * @param  {string}         heading The heading prefix, e.g. '##'
+ * @return {Array.<string>}
+ */
+function markdownOptions(parser, heading) {
+	let ret = [];
+	const header = [
+		'| Name | Type | Default | Required | Env | Description |',
+		'| --- | --- | --- | --- | --- | --- |'
+	];
+
+	ret.push(`${heading} Options`, '');
+	ret = ret.concat(header);
+	_.forEach(_.omitBy(parser.config, 'hidden'), (entry, flagName) => {
+		const info = parser.getFlagHelpInfo(flagName);
+		ret.push(markdownRow(flagNames(info).map(name => `\`${name}\``).join(', '), info));
+	});
+	ret.push('');
+
+	if (parser.positionals.length) {
+		ret.push(`${heading} Arguments`, '');
+		ret = ret.concat(header);
+		parser.positionals.forEach(positional => {
+			const info = parser.getEntryHelpInfo(positional);
+			ret.push(markdownRow(`\`${info.printName}${positional.variadic ? '...' : ''}\``, info));
+		});
+		ret.push('');
+	}
+	return ret;
+}
+
+/**
+ * Generates a Markdown reference.
+ * @param  {ArgumentParser} parser
+ * @param  {string}         program The name of the program
+ * @return {string}
+ */
+function markdown(parser, program) {
+	let ret = [`# ${program}`, ''];
+	if (parser.description) {
+		ret.push(parser.description, '');
+	}
+	ret.push('## Synopsis', '', '```', `${program} ${parser.getUsageString()}`, '```', '');
+	ret = ret.concat(markdownOptions(parser, '##'));
+
+	const commands = allCommands(parser);
+	if (commands.length) {
+		ret.push('## Commands', '');
+		commands.forEach(command => {
+			ret.push(`### ${program} ${command.getCommandPath().join(' ')}`, '');
+			if (command.description) {
+				ret.push(command.description, '');
+			}
+			ret.push('```', `${program} ${command.getUsageString()}`, '```', '');
+			ret = ret.concat(markdownOptions(command, '####'));
+		});
+	}
+
+	const examples = getExamples(parser.options);
+	if (examples.length) {
+		ret.push('## Examples', '');
+		examples.forEach(example => {
+			if (example.description) {
+				ret.push(example.description, '');
+			}
+			ret.push('```sh', example.command, '```', '');
+		});
+	}
+
+	if (parser.options.epilog) {
+		ret.push('## Notes', '', parser.options.epilog, '');
+	}
+	return ret.join('\n');
+}
+
+module.exports = {
+	getExamples,
+	manPage,
+	markdown
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const path = require('path');
+
+/**
+ * Matches path segments containing glob syntax
+ * @type {RegExp}
+ */
+const magicRegex = /[*?[{]/;
+
+/**
+ * Converts a single path segment of a glob pattern into a regular expression.
+ * Supports *, ?, character classes like [a-z] and alternatives like {js,json}.
+ * @param  {string} segment
+ * @return {RegExp}
+ */
+function segmentToRegExp(segment) {
+	let source = '';
+	let braces = 0;
+	for (let i = 0; i < segment.length; i++) {
+		const char = segment[i];
+		const classEnd = segment.indexOf(']', i + 2);
+		if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else if (char === '[' && classEnd > -1) {
+			source += '[' + segment.slice(i + 1, classEnd).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+			i = classEnd;
+		} else if (char === '{') {
+			source += '(?:';
+			braces++;
+		} else if (char === '}' && braces) {
+			source += ')';
+			braces--;
+		} else if (char === ',' && braces) {
+			source += '|';
+		} else {
+			source += _.escapeRegExp(char);
+		}
+	}
+	return new RegExp(`^${source}${_.repeat(')', braces)}$`);
+}
+
+/**
+ * Lists the entries of a directory, empty if it cannot be read.
+ * @param  {string} dir
+ * @return {Array.<string>}
+ */
+function readDir(dir) {
+	try {
+		return fs.readdirSync(dir).sort();
+	} catch (error) {
+		return [];
+	}
+}
+
+/**
+ * Checks whether a path is a directory without following errors.
+ * @param  {string}  dir
+ * @param  {boolean} [noFollow] Symlinks to directories do not count
+ * @return {boolean}
+ */
+function isDirectory(dir, noFollow) {
+	try {
+		return (noFollow ? fs.lstatSync(dir) : fs.statSync(dir)).isDirectory();
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Collects the paths below a directory matching the remaining segments of a pattern.
+ * Hidden entries are only matched by segments starting with a dot, ** matches any number of directories
+ * but does not descend into symlinks, which could form cycles.
+ * @param  {string}         dir
+ * @param  {Array.<string>} segments
+ * @param  {Array.<string>} ret      The matches are added to this array
+ */
+function walk(dir, segments, ret) {
+	if (!segments.length) {
+		ret.push(dir);
+		return;
+	}
+	const segment = segments[0];
+	const rest = segments.slice(1);
+	if (segment === '**') {
+		walk(dir, rest, ret);
+		readDir(dir)
+			.filter(name => name[0] !== '.' && isDirectory(path.join(dir, name), true))
+			.forEach(name => walk(path.join(dir, name), segments, ret));
+		return;
+	}
+	if (!magicRegex.test(segment)) {
+		const next = path.join(dir, segment);
+		if (fs.existsSync(next)) {
+			walk(next, rest, ret);
+		}
+		return;
+	}
+	const regex = segmentToRegExp(segment);
+	readDir(dir)
+		.filter(name => regex.test(name) && (name[0] !== '.' || segment[0] === '.'))
+		.forEach(name => {
+			const next = path.join(dir, name);
+			if (!rest.length || isDirectory(next)) {
+				walk(next, rest, ret);
+			}
+		});
+}
+
+/**
+ * Expands a glob pattern into the sorted absolute paths of the matching files and directories.
+ * @param  {string} pattern
+ * @param  {string} cwd     The directory relative patterns are resolved against
+ * @return {Array.<string>}
+ */
+function expand(pattern, cwd) {
+	const absolute = path.resolve(cwd, pattern);
+	const root = path.parse(absolute).root;
+	const segments = _.compact(absolute.slice(root.length).split(path.sep));
+	const ret = [];
+	walk(root, segments, ret);
+	return _.uniq(ret).sort();
+}
+
+/**
+ * Checks whether a value contains glob syntax.
+ * @param  {string} value
+ * @return {boolean}
+ */
+function isPattern(value) {
+	return magicRegex.test(value);
+}
+
+module.exports = {
+	expand,
+	isPattern
+};
@@ -0,0 +1,302 @@
+'use strict';
+
+const _ = require('lodash');
+
+const docs = require('./docs');
+
+/**
+ * ANSI escape sequences used when colors are enabled, [start, end]
+ * @type {Object.<string, Array.<string>>}
+ */
+const styles = {
+	heading: ['\u001b[1m', '\u001b[22m'],
+	term: ['\u001b[36m', '\u001b[39m'],
+	annotation: ['\u001b[2m', '\u001b[22m']
+};
+
+/**
+ * The name of the section of flags without a section attribute
+ * @type {string}
+ */
+const defaultSection = 'Options';
+
+/**
+ * Wraps words to lines of at most the given width, words longer than the width get a line of their own.
+ * @param  {Array.<{text: string, style: ?string}>} words
+ * @param  {number} width
+ * @return {Array.<Array.<Object>>} The words of each line
+ */
+function wrapWords(words, width) {
+	const lines = [];
+	let line = [];
+	let length = 0;
+	words.forEach(word => {
+		if (line.length && length + 1 + word.text.length > width) {
+			lines.push(line);
+			line = [];
+			length = 0;
+		}
+		length += (line.length ? 1 : 0) + word.text.length;
+		line.push(word);
+	});
+	if (line.length) {
+		lines.push(line);
+	}
+	return lines;
+}
+
+/**
+ * Splits text into styled words, explicit line breaks are kept as null entries.
+ * @param  {string}  text
+ * @param  {?string} style The name of the style of all words
+ * @return {Array.<?Object>}
+ */
+function toWords(text, style) {
+	return _.flatten(String(text).split('\n').map((paragraph, index) =>
+		(index ? [null] : []).concat(_.compact(paragraph.split(/\s+/)).map(word => ({text: word, style})))
+	));
+}
+
+/**
+ * Wraps styled words, respecting the explicit line breaks.
+ * @param  {Array.<?Object>} words As returned by toWords
+ * @param  {number}          width
+ * @return {Array.<Array.<Object>>}
+ */
+function wrap(words, width) {
+	const paragraphs = [[]];
+	words.forEach(word => {
+		if (word) {
+			_.last(paragraphs).push(word);
+		} else {
+			paragraphs.push([]);
+		}
+	});
+	return _.flatten(paragraphs.map(paragraph => {
+		//keep empty lines
+		if (!paragraph.length) {
+			return [[]];
+		}
+		return wrapWords(paragraph, width);
+	}));
+}
+
+/**
+ * Applies a style if colors are enabled.
+ * @param  {string}  text
+ * @param  {?string} style
+ * @param  {boolean} colors
+ * @return {string}
+ */
+function paint(text, style, colors) {
+	return colors && style ? styles[style].join(text) : text;
+}
+
+/**
+ * Joins the words of a line, applying their styles if colors are enabled.
+ * @param  {Array.<Object>} line
+ * @param  {boolean}        colors
+ * @return {string}
+ */
+function renderLine(line, colors) {
+	return line.map(word => paint(word.text, word.style, colors)).join(' ');
+}
+
+/**
+ * Builds the row of a flag.
+ * @param  {ArgumentParser} parser
+ * @param  {string}         flagName
+ * @return {{term: string, description: string, annotations: Array.<string>}}
+ */
+function flagRow(parser, flagName) {
+	const info = parser.getFlagHelpInfo(flagName);
+	const names = [info.printName].concat(info.aliases).map(name => '--' + name).join(', ');
+	return {
+		term: (info.short ? `-${info.short}, ` : '    ') + names,
+		description: info.description,
+		annotations: entryAnnotations(info).concat(info.relations)
+	};
+}
+
+/**
+ * Lists the type, default, requirement and env var of a help info, e.g. ['integer', 'default: 80'].
+ * @param  {Object} info As returned by getFlagHelpInfo or getEntryHelpInfo
+ * @return {Array.<string>}
+ */
+function entryAnnotations(info) {
+	const ret = [];
+	if (info.type) {
+		ret.push(info.type);
+	}
+	if (info.default !== '') {
+		ret.push('default: ' + info.default);
+	}
+	if (info.required) {
+		ret.push('required');
+	}
+	if (info.env) {
+		ret.push('env: ' + info.env);
+	}
+	return ret;
+}
+
+/**
+ * Groups the visible flags of a parser by their section attribute, the default section comes first.
+ * @param  {ArgumentParser} parser
+ * @param  {boolean}        sort   Whether to sort the flags by name, the help flag is listed last
+ * @return {Array.<Object>} The sections
+ */
+function flagSections(parser, sort) {
+	let flagNames = _.keys(_.omitBy(parser.config, 'hidden'));
+	if (sort) {
+		flagNames = _.sortBy(flagNames, [name => name === 'help', name => parser.config[name].printName]);
+	}
+	function sectionOf(name) {
+		return parser.config[name].section || defaultSection;
+	}
+	const groups = _.groupBy(flagNames, sectionOf);
+	const titles = _.uniq([defaultSection].concat(flagNames.map(sectionOf)));
+	return titles.filter(title => groups[title]).map(title => ({
+		name: title === defaultSection ? 'options' : 'section',
+		title,
+		rows: groups[title].map(name => flagRow(parser, name))
+	}));
+}
+
+/**
+ * Collects the content of the help of a parser as sections.
+ * Sections either have a text or rows of terms with a description and annotations.
+ * @param  {ArgumentParser} parser
+ * @param  {string}         program The name of the program
+ * @param  {Object}         options The help options of the parser
+ * @return {Array.<{name: string, title: ?string, text: ?string, rows: ?Array.<Object>}>}
+ */
+function getSections(parser, program, options) {
+	let sections = [{
+		name: 'usage',
+		title: 'Usage',
+		text: program + ' ' + parser.getUsageString()
+	}];
+	if (parser.description) {
+		sections.push({name: 'description', text: parser.description});
+	}
+	if (parser.positionals.length) {
+		sections.push({
+			name: 'arguments',
+			title: 'Arguments',
+			rows: parser.positionals.map(positional => {
+				const info = parser.getEntryHelpInfo(positional);
+				return {
+					term: info.printName + (positional.variadic ? '...' : ''),
+					description: info.description,
+					annotations: entryAnnotations(info)
+				};
+			})
+		});
+	}
+	sections = sections.concat(flagSections(parser, options.sort !== false));
+	if (!_.isEmpty(parser.commands)) {
+		sections.push({
+			name: 'commands',
+			title: 'Commands',
+			rows: _.map(parser.commands, (command, name) => ({
+				term: name,
+				description: command.description,
+				annotations: []
+			}))
+		});
+	}
+	const examples = docs.getExamples(parser.options);
+	if (examples.length) {
+		sections.push({
+			name: 'examples',
+			title: 'Examples',
+			rows: examples.map(example => ({
+				term: example.command,
+				description: example.description || '',
+				annotations: []
+			}))
+		});
+	}
+	if (parser.options.epilog) {
+		sections.push({name: 'epilog', text: parser.options.epilog});
+	}
+	return sections;
+}
+
+/**
+ * Renders the rows of a section as two columns, descriptions are wrapped next to the terms.
+ * Terms wider than 40% of the width get a line of their own.
+ * @param  {Array.<Object>} rows
+ * @param  {number}         width
+ * @param  {boolean}        colors
+ * @return {Array.<string>}
+ */
+function formatRows(rows, width, colors) {
+	const indent = '  ';
+	const termWidth = Math.min(_.max(rows.map(row => row.term.length)), Math.floor(width * 0.4));
+	const column = indent.length + termWidth + 2;
+	const descriptionWidth = Math.max(width - column, 10);
+	const ret = [];
+	rows.forEach(row => {
+		const words = toWords(row.description, null)
+			.concat(_.flatten(row.annotations.map(annotation => toWords(`[${annotation}]`, 'annotation'))));
+		const lines = wrap(words, descriptionWidth).map(line => renderLine(line, colors));
+		const term = indent + paint(row.term, 'term', colors);
+		if (row.term.length > termWidth && lines.length && lines[0]) {
+			ret.push(term);
+		} else {
+			const first = lines.shift() || '';
+			ret.push(first ? term + _.repeat(' ', column - indent.length - row.term.length) + first : term);
+		}
+		lines.forEach(line => ret.push(line ? _.repeat(' ', column) + line : ''));
+	});
+	return ret;
+}
+
+/**
+ * The default formatter, renders the sections as text wrapped to the width.
+ * @param  {Array.<Object>} sections As returned by getSections
+ * @param  {Object}         options
+ * @param  {number}         options.width  The maximum line length
+ * @param  {boolean}        options.colors Whether to use ANSI colors
+ * @return {string}
+ */
+function format(sections, options) {
+	const blocks = sections.map(section => {
+		if (section.rows) {
+			return [paint(section.title + ':', 'heading', options.colors)]
+				.concat(formatRows(section.rows, options.width, options.colors));
+		}
+		const words = (section.title ? [{text: section.title + ':', style: 'heading'}] : [])
+			.concat(toWords(section.text, null));
+		return wrap(words, options.width).map(line => renderLine(line, options.colors));
+	});
+	return blocks.map(block => block.join('\n')).join('\n\n');
+}
+
+/**
+ * Generates the help of a parser.
+ * @param  {ArgumentParser} parser
+ * @param  {string}         program The name of the program
+ * @param  {Object}         [options] The help options of the parser
+ * @return {string}
+ */
+function render(parser, program, options) {
+	options = options || {};
+	const formatOptions = {
+		width: options.width || process.stdout.columns || 80,
+		colors: options.colors === true
+	};
+	const sections = getSections(parser, program, options);
+	if (options.formatter) {
+		return options.formatter(sections, formatOptions, format);
+	}
+	return format(sections, formatOptions);
+}
+
+module.exports = {
+	getSections,
+	format,
+	render
+};
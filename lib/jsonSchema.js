@@ -0,0 +1,268 @@
+'use strict';
+
+const _ = require('lodash');
+
+const fError = require('./utils').fError;
+
+/**
+ * The JSON Schema dialect of the exported documents
+ * @type {string}
+ */
+const schemaVersion = 'http://json-schema.org/draft-07/schema#';
+
+/**
+ * Flag types that are JSON Schema types as well, others are stored in the 'x-type' keyword.
+ * @type {Array.<string>}
+ */
+const nativeTypes = ['number', 'integer', 'string', 'boolean', 'array'];
+
+/**
+ * Flag types whose values are integers in JSON Schema, the other non native types are strings.
+ * @type {Array.<string>}
+ */
+const integerTypes = ['count', 'port'];
+
+/**
+ * Converts the type and validation attributes of a flag or array element.
+ * @param  {string} type
+ * @param  {Object} entry The flag config, min, max and regex are applied to array elements
+ * @return {Object}
+ */
+function typeToSchema(type, entry) {
+	const ret = {
+		type
+	};
+	if (nativeTypes.indexOf(type) === -1) {
+		ret.type = integerTypes.indexOf(type) > -1 ? 'integer' : 'string';
+		ret['x-type'] = type;
+	}
+	if (type === 'count') {
+		ret.minimum = 0;
+	}
+	//the bounds of durations, sizes and dates do not apply to their string representation
+	const numeric = ret.type === 'number' || ret.type === 'integer';
+	if (numeric && _.isNumber(entry.min) && type !== 'count') {
+		ret.minimum = entry.min;
+	}
+	if (numeric && _.isNumber(entry.max)) {
+		ret.maximum = entry.max;
+	}
+	if (entry.regex) {
+		ret.pattern = entry.regex.source;
+	}
+	return ret;
+}
+
+/**
+ * Converts the item constraints of an array flag, a custom separator is stored in the 'x-separator' keyword.
+ * @param  {Object} entry
+ * @return {Object}
+ */
+function itemsToSchema(entry) {
+	const ret = _.pick(entry, ['minItems', 'maxItems']);
+	if (entry.unique) {
+		ret.uniqueItems = true;
+	}
+	if (entry.separator && entry.separator !== ',') {
+		ret['x-separator'] = entry.separator;
+	}
+	return ret;
+}
+
+/**
+ * Converts a flag config into the schema of its property.
+ * @param  {Object} entry
+ * @return {Object}
+ */
+function entryToSchema(entry) {
+	let ret;
+	if (entry.type === 'array') {
+		ret = _.assign({
+			type: 'array',
+			items: entry.enum ? {enum: entry.enum} : typeToSchema(entry.subType, entry)
+		}, itemsToSchema(entry));
+	} else if (entry.enum) {
+		ret = {enum: entry.enum};
+	} else if (entry.type === 'map') {
+		ret = {
+			type: 'object',
+			additionalProperties: typeToSchema(entry.subType, entry)
+		};
+	} else {
+		ret = typeToSchema(entry.type, entry);
+	}
+	if (entry.multiple) {
+		ret = {
+			type: 'array',
+			items: ret,
+			'x-multiple': true
+		};
+	}
+	if (entry.description) {
+		ret.description = entry.description;
+	}
+	if (entry.default !== undefined) {
+		ret.default = entry.default;
+	}
+	if (entry.short) {
+		ret['x-short'] = entry.short;
+	}
+	if (entry.env) {
+		ret['x-env'] = entry.env;
+	}
+	return ret;
+}
+
+/**
+ * Converts flag configs into the schema of an object, nested flags like 'server.port' become nested objects.
+ * @param  {Object.<string, Object>} flags
+ * @return {Object}
+ */
+function objectSchema(flags) {
+	const ret = {
+		type: 'object',
+		properties: {},
+		additionalProperties: false
+	};
+	const required = [];
+	_.forEach(_.groupBy(_.keys(flags), name => name.split('.')[0]), (names, key) => {
+		if (names[0] === key) {
+			ret.properties[key] = entryToSchema(flags[key]);
+			if (flags[key].required) {
+				required.push(key);
+			}
+			return;
+		}
+		const children = _.mapKeys(_.pick(flags, names), (entry, name) => name.slice(key.length + 1));
+		ret.properties[key] = objectSchema(children);
+	});
+	if (required.length) {
+		ret.required = required;
+	}
+	return ret;
+}
+
+/**
+ * Exports the flags of a parser as a JSON Schema describing an object of flag values.
+ * The help flag, the version flag and the config file flag are left out.
+ * @param  {ArgumentParser} parser
+ * @return {Object}
+ */
+function toSchema(parser) {
+	const configFile = parser.options.configFile;
+	const configFlag = configFile && configFile.flag !== false && (configFile.flag || 'config');
+	const flags = _.omit(parser.config, ['help', configFlag, parser.options.version && 'version']);
+	const ret = _.assign({$schema: schemaVersion}, objectSchema(flags));
+	if (parser.description) {
+		ret.description = parser.description;
+	}
+	return ret;
+}
+
+/**
+ * Converts the type and validation keywords of a property or array items schema.
+ * @param  {Object} schema
+ * @param  {string} name   The name of the property, for error messages
+ * @return {Object} The type and validation attributes of the flag config
+ */
+function schemaToType(schema, name) {
+	const ret = {};
+	if (schema.enum) {
+		ret.enum = schema.enum;
+		return ret;
+	}
+	const type = schema['x-type'] || schema.type || 'string';
+	if (!schema['x-type'] && nativeTypes.indexOf(type) === -1) {
+		fError('Unsupported type \'%s\' of property \'%s\'', type, name);
+	}
+	ret.type = type;
+	if (_.isNumber(schema.minimum) && type !== 'count') {
+		ret.min = schema.minimum;
+	}
+	if (_.isNumber(schema.maximum)) {
+		ret.max = schema.maximum;
+	}
+	if (schema.pattern) {
+		ret.regex = schema.pattern;
+	}
+	return ret;
+}
+
+/**
+ * Converts a property schema into a flag config.
+ * @param  {Object}  schema
+ * @param  {string}  name     The name of the property
+ * @param  {boolean} required Whether the property is required
+ * @return {Object}
+ */
+function schemaToEntry(schema, name, required) {
+	if (schema.type === 'object' && schema.properties) {
+		return {properties: fromSchema(schema)};
+	}
+	const valueSchema = schema['x-multiple'] ? schema.items || {} : schema;
+	let ret;
+	if (valueSchema.type === 'object') {
+		const additional = valueSchema.additionalProperties;
+		const values = schemaToType(_.isPlainObject(additional) ? additional : {}, name);
+		if (values.type === 'array' || values.enum) {
+			fError('Unsupported values of property \'%s\', must be a number, integer, string or file', name);
+		}
+		ret = _.assign(_.omit(values, 'type'), {type: 'map', subType: values.type});
+	} else {
+		ret = schemaToType(valueSchema, name);
+	}
+	if (ret.type === 'array') {
+		const items = schemaToType(valueSchema.items || {}, name);
+		if (items.type === 'array') {
+			fError('Unsupported items of property \'%s\', must be a number, integer, string, file or enum', name);
+		}
+		ret = _.assign(_.omit(items, 'type'), {type: 'array'}, items.type && {subType: items.type});
+		_.assign(ret, _.pick(valueSchema, ['minItems', 'maxItems']));
+		if (valueSchema.uniqueItems) {
+			ret.unique = true;
+		}
+		if (valueSchema['x-separator']) {
+			ret.separator = valueSchema['x-separator'];
+		}
+	}
+	if (schema['x-multiple']) {
+		ret.multiple = true;
+	}
+	if (schema.description) {
+		ret.description = schema.description;
+	}
+	if (schema.default !== undefined) {
+		ret.default = schema.default;
+	}
+	if (required) {
+		ret.required = true;
+	}
+	if (schema['x-short']) {
+		ret.short = schema['x-short'];
+	}
+	if (schema['x-env']) {
+		ret.env = schema['x-env'];
+	}
+	return ret;
+}
+
+/**
+ * Builds the flag config from a JSON Schema describing an object of flag values.
+ * Nested objects become flags with properties, objects without properties map flags.
+ * @param  {Object} schema
+ * @return {Object}
+ */
+function fromSchema(schema) {
+	if (!_.isPlainObject(schema) || schema.type && schema.type !== 'object') {
+		fError('Invalid schema, must describe an object');
+	}
+	const required = schema.required || [];
+	return _.mapValues(schema.properties || {}, (property, name) =>
+		schemaToEntry(property, name, required.indexOf(name) > -1)
+	);
+}
+
+module.exports = {
+	toSchema,
+	fromSchema
+};
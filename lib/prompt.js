@@ -0,0 +1,143 @@
+'use strict';
+
+const readline = require('readline');
+
+/**
+ * Removes the characters deleted with backspace from a line typed in raw mode.
+ * @param  {string} line
+ * @return {string}
+ */
+function applyBackspaces(line) {
+	let ret = '';
+	for (let i = 0; i < line.length; i++) {
+		if (line[i] === '\b' || line[i] === '\x7f') {
+			ret = ret.slice(0, -1);
+		} else {
+			ret += line[i];
+		}
+	}
+	return ret;
+}
+
+/**
+ * Asks questions on an output stream and reads the answers line by line from an input stream.
+ * @constructor
+ * @param {stream.Readable} input
+ * @param {stream.Writable} output
+ */
+module.exports = class Prompter {
+	constructor(input, output) {
+		this.input = input;
+		this.output = output;
+		this.lines = [];
+		this.waiting = null;
+		this.closed = false;
+
+		this.readline = readline.createInterface({
+			input,
+			terminal: false
+		});
+		this.readline.on('line', line => this.receive(line));
+		this.readline.on('close', () => {
+			this.closed = true;
+			this.receive(null);
+		});
+	}
+
+	/**
+	 * Hands a line over to the pending question or buffers it for the next one.
+	 * @private
+	 * @param  {?string} line Null when the input ended
+	 */
+	receive(line) {
+		if (this.waiting) {
+			const resolve = this.waiting;
+			this.waiting = null;
+			resolve(line);
+		} else if (line !== null) {
+			this.lines.push(line);
+		}
+	}
+
+	/**
+	 * Reads the next line.
+	 * @private
+	 * @return {Promise.<?string>} Resolves with null when the input ended
+	 */
+	readLine() {
+		if (this.lines.length) {
+			return Promise.resolve(this.lines.shift());
+		}
+		if (this.closed) {
+			return Promise.resolve(null);
+		}
+		return new Promise(resolve => {
+			this.waiting = resolve;
+		});
+	}
+
+	/**
+	 * Asks a question and waits for the answer.
+	 * @public
+	 * @param  {string} question
+	 * @param  {Object} [options]
+	 * @param  {Array}  [options.choices] Listed with numbers, the answer may be the number or the value
+	 * @param  {boolean} [options.secret] Do not echo the answer when the input is a TTY
+	 * @return {Promise.<?(string|*)>} Resolves with null when the input ended
+	 */
+	ask(question, options) {
+		options = options || {};
+		const choices = options.choices;
+		let text = question;
+		if (choices) {
+			text += '\n' + choices.map((choice, index) => `  ${index + 1}) ${choice}`).join('\n') +
+				`\nChoose 1-${choices.length}`;
+		}
+		this.output.write(text + ': ');
+
+		const raw = Boolean(options.secret && this.input.isTTY && this.input.setRawMode);
+		const onData = chunk => {
+			//ctrl-c does not send SIGINT in raw mode
+			if (String(chunk).indexOf('\x03') > -1) {
+				this.readline.close();
+			}
+		};
+		if (raw) {
+			this.input.setRawMode(true);
+			this.input.on('data', onData);
+		}
+
+		return this.readLine().then(line => {
+			if (raw) {
+				this.input.removeListener('data', onData);
+				this.input.setRawMode(false);
+				this.output.write('\n');
+			}
+			if (line === null || raw && line.indexOf('\x03') > -1) {
+				return null;
+			}
+			line = applyBackspaces(line).trim();
+			if (choices && /^\d+$/.test(line) && line > 0 && line <= choices.length) {
+				return choices[line - 1];
+			}
+			return line;
+		});
+	}
+
+	/**
+	 * Writes a message on its own line, e.g. why an answer was rejected.
+	 * @public
+	 * @param  {string} message
+	 */
+	write(message) {
+		this.output.write(message + '\n');
+	}
+
+	/**
+	 * Stops reading the input.
+	 * @public
+	 */
+	close() {
+		this.readline.close();
+	}
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Calculates the edit distance between two strings,
+ * insertions, deletions, substitutions and transpositions of adjacent characters count as one edit.
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ */
+function editDistance(a, b) {
+	const distances = [];
+	for (let i = 0; i <= a.length; i++) {
+		distances[i] = [i];
+	}
+	for (let j = 1; j <= b.length; j++) {
+		distances[0][j] = j;
+	}
+
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			distances[i][j] = Math.min(
+				distances[i - 1][j] + 1,
+				distances[i][j - 1] + 1,
+				distances[i - 1][j - 1] + cost
+			);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + cost);
+			}
+		}
+	}
+	return distances[a.length][b.length];
+}
+
+/**
+ * Finds the candidates that are most likely meant by the given input.
+ * Only candidates within an edit distance of a third of the input length (at least 1) are considered,
+ * candidates that would replace the whole input are not, e.g. 'b' for 'c'.
+ * @param  {string}         input
+ * @param  {Array.<string>} candidates
+ * @return {Array.<string>} The closest candidates, empty if none is close enough
+ */
+function suggest(input, candidates) {
+	const maxDistance = Math.max(1, Math.floor(input.length / 3));
+	let best = Infinity;
+	let ret = [];
+	candidates.forEach(candidate => {
+		const distance = editDistance(input.toLowerCase(), candidate.toLowerCase());
+		if (distance > maxDistance || distance >= input.length || distance > best || ret.indexOf(candidate) > -1) {
+			return;
+		}
+		if (distance < best) {
+			best = distance;
+			ret = [];
+		}
+		ret.push(candidate);
+	});
+	return ret;
+}
+
+/**
+ * Formats suggestions for error messages, e.g. ", did you mean 'a' or 'b'?".
+ * @param  {Array.<string>} suggestions
+ * @return {string} Empty if there are no suggestions
+ */
+function formatSuggestions(suggestions) {
+	if (!suggestions.length) {
+		return '';
+	}
+	return `, did you mean ${suggestions.map(suggestion => `'${suggestion}'`).join(' or ')}?`;
+}
+
+module.exports = {
+	editDistance,
+	suggest,
+	formatSuggestions
+};
@@ -0,0 +1,594 @@
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const net = require('net');
+const path = require('path');
+const url = require('url');
+
+const glob = require('./glob');
+const utils = require('./utils');
+
+const fError = utils.fError;
+const pError = utils.pError;
+
+/**
+ * Accepted explicit values for boolean flags
+ * @type {Object.<string, boolean>}
+ */
+const booleanValues = {
+	true: true,
+	false: false,
+	yes: true,
+	no: false,
+	1: true,
+	0: false
+};
+
+/**
+ * Milliseconds per duration unit, a number without unit is in milliseconds
+ * @type {Object.<string, number>}
+ */
+const durationUnits = {
+	ms: 1,
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Bytes per size unit, case insensitive, a number without unit is in bytes
+ * @type {Object.<string, number>}
+ */
+const sizeUnits = {
+	b: 1,
+	kb: 1e3,
+	mb: 1e6,
+	gb: 1e9,
+	tb: 1e12,
+	kib: 1024,
+	mib: Math.pow(1024, 2),
+	gib: Math.pow(1024, 3),
+	tib: Math.pow(1024, 4)
+};
+
+/**
+ * Throws an INVALID_TYPE error for a value of the built-in types below.
+ * @param {string} type
+ * @param {*}      value
+ * @param {string} flag
+ * @param {string} reason
+ */
+function invalid(type, value, flag, reason) {
+	pError({code: 'INVALID_TYPE', flag, value, expected: type}, 'Invalid %s value for \'%s\', %s', type, flag, reason);
+}
+
+/**
+ * The access mode constants, node < 6.3 has them on fs itself
+ * @type {Object}
+ */
+const accessModes = fs.constants || fs;
+
+/**
+ * Throws an INVALID_PATH error explaining what is wrong with the path.
+ * @param {string} value  The path as passed
+ * @param {string} flag
+ * @param {string} reason E.g. 'does not exist'
+ */
+function invalidPath(value, flag, reason) {
+	pError({code: 'INVALID_PATH', flag, value}, 'Invalid path for \'%s\', \'%s\' %s', flag, value, reason);
+}
+
+/**
+ * Returns the stats of a path, following symlinks.
+ * @param  {string} filePath
+ * @return {?fs.Stats} null if the path does not exist
+ */
+function statPath(filePath) {
+	try {
+		return fs.statSync(filePath);
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Checks whether the current process may access a path.
+ * @param  {string} filePath
+ * @param  {number} mode     R_OK or W_OK
+ * @return {boolean}
+ */
+function canAccess(filePath, mode) {
+	try {
+		fs.accessSync(filePath, mode);
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Resolves a path against the base directory and checks it against the path options of the flag.
+ * @param  {string} value    The path as passed
+ * @param  {Object} entry    The flag config, its path attribute overrides the defaults of the type
+ * @param  {string} flag
+ * @param  {Object} defaults The path options of the type, kind is 'file' or 'directory' if the path must be one
+ * @return {string} The absolute path
+ */
+function checkPath(value, entry, flag, defaults) {
+	const options = _.assign({}, defaults, entry.path);
+	const filePath = path.resolve(options.baseDir || process.cwd(), value);
+	const stats = statPath(filePath);
+	if (!stats) {
+		if (options.mustExist) {
+			invalidPath(value, flag, 'does not exist');
+		}
+		if (options.writable && !statPath(path.dirname(filePath))) {
+			invalidPath(value, flag, 'cannot be created, its directory does not exist');
+		}
+		if (options.writable && !canAccess(path.dirname(filePath), accessModes.W_OK)) {
+			invalidPath(value, flag, 'cannot be created, its directory is not writable');
+		}
+		return filePath;
+	}
+	if (options.mustNotExist) {
+		invalidPath(value, flag, 'already exists');
+	}
+	if (options.kind === 'directory' && !stats.isDirectory()) {
+		invalidPath(value, flag, 'is not a directory');
+	}
+	if (options.kind === 'file' && stats.isDirectory()) {
+		invalidPath(value, flag, 'is a directory');
+	}
+	if (options.readable && !canAccess(filePath, accessModes.R_OK)) {
+		invalidPath(value, flag, 'is not readable');
+	}
+	if (options.writable && !canAccess(filePath, accessModes.W_OK)) {
+		invalidPath(value, flag, 'is not writable');
+	}
+	return filePath;
+}
+
+/**
+ * Expands a glob pattern of a path flag into the checked absolute paths of the matches.
+ * @param  {string} value
+ * @param  {Object} entry
+ * @param  {string} flag
+ * @return {Array.<string>}
+ */
+function expandPath(value, entry, flag) {
+	if (!glob.isPattern(value)) {
+		return [checkPath(value, entry, flag, {mustExist: true})];
+	}
+	const matches = glob.expand(value, entry.path.baseDir || process.cwd());
+	if (!matches.length) {
+		invalidPath(value, flag, 'does not match any files');
+	}
+	return matches.map(match => checkPath(match, entry, flag, {}));
+}
+
+/**
+ * Converts a duration like '1h30m', '500ms' or 1500 into milliseconds.
+ * @param  {string|number} value
+ * @return {number} NaN if the value is not a duration
+ */
+function toDuration(value) {
+	if (typeof value === 'number') {
+		return value;
+	}
+	let str = String(value).trim().toLowerCase();
+	//a bare number is in milliseconds, otherwise every part needs a unit
+	if (/^(\d+(?:\.\d+)?|\.\d+)$/.test(str)) {
+		return parseFloat(str);
+	}
+	const part = /^(\d+(?:\.\d+)?|\.\d+)\s*(ms|s|m|h|d|w)\s*/;
+	let ret = 0;
+	let match = part.exec(str);
+	if (!match) {
+		return NaN;
+	}
+	while (match) {
+		ret += parseFloat(match[1]) * durationUnits[match[2]];
+		str = str.slice(match[0].length);
+		match = part.exec(str);
+	}
+	//anything left over is not a duration
+	return str ? NaN : ret;
+}
+
+/**
+ * Converts a size like '10MB', '1.5 GiB' or 512 into bytes.
+ * @param  {string|number} value
+ * @return {number} NaN if the value is not a size
+ */
+function toSize(value) {
+	if (typeof value === 'number') {
+		return value;
+	}
+	const match = /^(\d*\.?\d+)\s*([a-z]*)$/i.exec(String(value).trim());
+	const unit = match && sizeUnits[(match[2] || 'b').toLowerCase()];
+	return unit ? Math.round(parseFloat(match[1]) * unit) : NaN;
+}
+
+/**
+ * Converts a date, a date string or a timestamp into a timestamp.
+ * @param  {Date|string|number} value
+ * @return {number} NaN if the value is not a date
+ */
+function toTime(value) {
+	if (value instanceof Date) {
+		return value.getTime();
+	}
+	if (typeof value === 'number') {
+		return value;
+	}
+	return new Date(String(value).trim()).getTime();
+}
+
+/**
+ * Formats a min or max value for the help and error messages.
+ * @param  {*} bound
+ * @return {string}
+ */
+function formatBound(bound) {
+	return bound instanceof Date ? bound.toISOString() : String(bound);
+}
+
+/**
+ * Checks the min and max values of a flag whose bounds are converted with the bound function of its type.
+ * @param  {*}        value  The parsed value, for the error
+ * @param  {number}   number The value as number
+ * @param  {Object}   entry  The flag config
+ * @param  {string}   flag   The name of the flag
+ * @param  {Function} bound  Converts min and max into numbers
+ */
+function checkRange(value, number, entry, flag, bound) {
+	const hasMin = entry.min !== undefined;
+	const hasMax = entry.max !== undefined;
+	if (hasMin && number < bound(entry.min) || hasMax && number > bound(entry.max)) {
+		let range;
+		if (hasMin && hasMax) {
+			range = `between ${formatBound(entry.min)} and ${formatBound(entry.max)}`;
+		} else if (hasMin) {
+			range = 'greater or equal to ' + formatBound(entry.min);
+		} else {
+			range = 'less or equal to ' + formatBound(entry.max);
+		}
+		pError(
+			{code: 'OUT_OF_RANGE', flag, value, expected: _.pick(entry, ['min', 'max'])},
+			'Argument for \'%s\' must be %s',
+			flag,
+			range
+		);
+	}
+}
+
+/**
+ * Describes a type with the min and max values of the flag, e.g. '1s<=duration<=1m'.
+ * @param  {string} name
+ * @param  {Object} entry The flag config
+ * @return {string}
+ */
+function describeBounds(name, entry) {
+	return (entry.min === undefined ? '' : formatBound(entry.min) + '<=') + name +
+		(entry.max === undefined ? '' : '<=' + formatBound(entry.max));
+}
+
+/**
+ * Describes a number type with its range, e.g. '1<=integer<=10'.
+ * @param  {string} name
+ * @param  {Object} entry The flag config
+ * @return {string}
+ */
+function describeRange(name, entry) {
+	return (entry.min ? entry.min + '<=' : '') + name + (entry.max ? '<=' + entry.max : '');
+}
+
+/**
+ * Parses a number and checks the range of the flag.
+ * @param  {*}      value
+ * @param  {Object} entry The flag config
+ * @param  {string} flag  The name of the flag
+ * @return {number}
+ */
+function parseNumber(value, entry, flag) {
+	const number = parseFloat(value);
+
+	if (!isFinite(number)) {
+		pError(
+			{code: 'INVALID_TYPE', flag, value, expected: entry.type},
+			'Could not parse number from argument for \'%s\'',
+			flag
+		);
+	}
+	const range = {
+		code: 'OUT_OF_RANGE',
+		flag,
+		value: number,
+		expected: _.pick(entry, ['min', 'max'])
+	};
+	if (entry.min && entry.max && (entry.max < number || entry.min > number)) {
+		pError(range, 'Argument for \'%s\' must be between to %d and %d', flag, entry.min, entry.max);
+	}
+	if (entry.min && number < entry.min) {
+		pError(range, 'Argument for \'%s\' must be greater or equal to %d', flag, entry.min);
+	}
+
+	if (entry.max && number > entry.max) {
+		pError(range, 'Argument for \'%s\' must be less or equal to %d', flag, entry.max);
+	}
+	return number;
+}
+
+/**
+ * Parses an integer and checks the range of the flag.
+ * @param  {*}      value
+ * @param  {Object} entry The flag config
+ * @param  {string} flag  The name of the flag
+ * @return {number}
+ */
+function parseInteger(value, entry, flag) {
+	if (value.toString().indexOf('.') > -1) {
+		pError(
+			{code: 'INVALID_TYPE', flag, value, expected: 'integer'},
+			'Argument for \'%s\' must be an integer value',
+			flag
+		);
+	}
+	return parseNumber(parseInt(value, 10), entry, flag);
+}
+
+/**
+ * The built-in types, array is not listed since it is a container for the other types.
+ * @type {Object.<string, {parse: Function, describe: Function}>}
+ */
+const builtIns = {
+	boolean: {
+		parse(value, entry, flag) {
+			if (typeof value === 'boolean') {
+				return value;
+			}
+			const normalized = String(value).toLowerCase();
+			if (!_.has(booleanValues, normalized)) {
+				pError(
+					{code: 'INVALID_TYPE', flag, value, expected: 'boolean'},
+					'Invalid boolean value for \'%s\', must be one of [true,false,yes,no,1,0]',
+					flag
+				);
+			}
+			return booleanValues[normalized];
+		},
+		describe: () => ''
+	},
+	count: {
+		parse: parseInteger,
+		describe: entry => 'count' + (entry.max ? '<=' + entry.max : '')
+	},
+	integer: {
+		parse: parseInteger,
+		describe: entry => describeRange('integer', entry)
+	},
+	number: {
+		parse: parseNumber,
+		describe: entry => describeRange('number', entry)
+	},
+	string: {
+		parse(value, entry, flag) {
+			value = String(value);//config files may contain other primitives
+			if (entry.regex && !entry.regex.test(value)) {
+				pError(
+					{code: 'REGEX_MISMATCH', flag, value, expected: entry.regex.source},
+					'Argument for \'%s\' did not match the regular expression %s',
+					flag,
+					entry.regex.source
+				);
+			}
+			return value;
+		},
+		describe: entry => 'string' + (entry.regex ? ' matching ' + entry.regex.source : '')
+	},
+	file: {
+		parse(value, entry, flag) {
+			value = String(value);
+			//- reads stdin
+			const stdin = value === '-';
+			const filePath = stdin ? process.stdin.fd : checkPath(value, entry, flag, {
+				mustExist: true,
+				kind: 'file',
+				readable: true
+			});
+
+			let encoding = 'utf8';
+			if (entry.file) {
+				encoding = entry.file.encoding || entry.file.json && 'utf8';
+			}
+
+			if (entry.file && entry.file.stream) {
+				return stdin ? process.stdin : fs.createReadStream(filePath);
+			}
+
+			let data;
+			try {
+				data = fs.readFileSync(filePath, encoding);
+			} catch (error) {
+				invalidPath(value, flag, 'could not be read, ' + error.message);
+			}
+			if (entry.file && entry.file.json) {
+				try {
+					return JSON.parse(data);
+				} catch (error) {
+					pError({code: 'INVALID_FILE', flag, value}, 'Could not parse json from file %s', value);
+				}
+			}
+			return data;
+		},
+		describe: () => 'file'
+	},
+	path: {
+		parse(value, entry, flag) {
+			value = String(value);
+			if (entry.path && entry.path.glob) {
+				return expandPath(value, entry, flag);
+			}
+			return checkPath(value, entry, flag, {});
+		},
+		describe(entry) {
+			return entry.path && entry.path.glob ? 'path pattern' : 'path';
+		}
+	},
+	directory: {
+		parse(value, entry, flag) {
+			return checkPath(String(value), entry, flag, {mustExist: true, kind: 'directory'});
+		},
+		describe: () => 'directory'
+	},
+	outputFile: {
+		parse(value, entry, flag) {
+			value = String(value);
+			//- writes to stdout
+			if (value === '-') {
+				return process.stdout;
+			}
+			return checkPath(value, entry, flag, {kind: 'file', writable: true});
+		},
+		describe: () => 'output file'
+	},
+	url: {
+		parse(value, entry, flag) {
+			if (value instanceof Object) {
+				return value;
+			}
+			if (url.URL) {
+				try {
+					return new url.URL(String(value).trim());
+				} catch (error) {
+					return invalid('url', value, flag, error.message);
+				}
+			}
+			//node < 7 has no WHATWG URL
+			const parsed = url.parse(String(value).trim());
+			if (!parsed.protocol) {
+				invalid('url', value, flag, 'Invalid URL: ' + value);
+			}
+			return parsed;
+		},
+		describe: () => 'url'
+	},
+	date: {
+		parse(value, entry, flag) {
+			const time = toTime(value);
+			if (isNaN(time)) {
+				invalid('date', value, flag, 'must be a date like 2026-01-31 or 2026-01-31T12:00:00Z');
+			}
+			const date = new Date(time);
+			checkRange(date, time, entry, flag, toTime);
+			return date;
+		},
+		bound: toTime,
+		describe: entry => describeBounds('date', entry)
+	},
+	duration: {
+		parse(value, entry, flag) {
+			const duration = toDuration(value);
+			if (isNaN(duration)) {
+				invalid('duration', value, flag, 'must be a duration like 500ms, 30s or 1h30m');
+			}
+			checkRange(duration, duration, entry, flag, toDuration);
+			return duration;
+		},
+		bound: toDuration,
+		describe: entry => describeBounds('duration', entry)
+	},
+	size: {
+		parse(value, entry, flag) {
+			const size = toSize(value);
+			if (isNaN(size)) {
+				invalid('size', value, flag, 'must be a size like 512, 64kB, 10MB or 1.5GiB');
+			}
+			checkRange(size, size, entry, flag, toSize);
+			return size;
+		},
+		bound: toSize,
+		describe: entry => describeBounds('size', entry)
+	},
+	port: {
+		parse(value, entry, flag) {
+			const port = Number(value);
+			if (!/^\d+$/.test(String(value).trim()) || port > 65535) {
+				invalid('port', value, flag, 'must be an integer between 0 and 65535');
+			}
+			checkRange(port, port, entry, flag, Number);
+			return port;
+		},
+		describe: entry => describeBounds('port', entry)
+	},
+	ip: {
+		parse(value, entry, flag) {
+			value = String(value).trim();
+			if (!net.isIP(value)) {
+				invalid('ip', value, flag, 'must be an IPv4 or IPv6 address');
+			}
+			return value;
+		},
+		describe: () => 'ip'
+	},
+	regexp: {
+		parse(value, entry, flag) {
+			if (value instanceof RegExp) {
+				return value;
+			}
+			//accepts the literal notation /pattern/flags too
+			const literal = /^\/(.*)\/([a-z]*)$/.exec(value);
+			try {
+				return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+			} catch (error) {
+				return invalid('regexp', value, flag, error.message);
+			}
+		},
+		describe: () => 'regexp'
+	}
+};
+
+/**
+ * The globally available types, the built-in ones and the ones registered with ArgumentParser.registerType
+ * @type {Object.<string, Object>}
+ */
+const registry = _.clone(builtIns);
+
+/**
+ * Validates a type definition and adds it to a registry.
+ * @param {Object.<string, Object>} target The registry, either the global one or the types option of a parser
+ * @param {string}   name
+ * @param {Object}   type
+ * @param {Function} type.parse      Called with the raw value, the flag config and the flag name, returns the value.
+ *                                   Errors that are not ArgumentParserErrors are reported as INVALID_TYPE errors.
+ * @param {Function} [type.describe] Called with the flag config, returns the type description shown in the help.
+ * @param {Function} [type.bound]    Converts the min and max values of a flag into numbers, the parse function
+ *                                   checks the range. Without it min and max must be numbers.
+ * @param {Function} [type.complete] Called with the partially typed value, returns (a promise of) the completions.
+ */
+function register(target, name, type) {
+	if (!/^[\w_][\w_-]*$/i.test(name)) {
+		fError('Invalid type name %s, type names must match /^[\\w_][\\w_-]*$/', name);
+	}
+	if (name === 'array' || name === 'map' || builtIns[name]) {
+		fError('Cannot override the built-in type %s', name);
+	}
+	if (!type || typeof type.parse !== 'function') {
+		fError('Invalid type %s, \'parse\' must be a function', name);
+	}
+	['describe', 'bound', 'complete'].forEach(attribute => {
+		if (type[attribute] !== undefined && typeof type[attribute] !== 'function') {
+			fError('Invalid type %s, \'%s\' must be a function', name, attribute);
+		}
+	});
+	target[name] = type;
+}
+
+module.exports = {
+	builtIns,
+	registry,
+	register
+};
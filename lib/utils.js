@@ -0,0 +1,36 @@
+'use strict';
+
+const _ = require('lodash');
+const util = require('util');
+
+const ArgumentParserError = require('./ArgumentParserError');
+
+/**
+ * Throws a string formatted error, for invalid configs and other programming errors.
+ */
+function fError() {
+	throw new Error(util.format.apply(undefined, arguments));
+}
+
+/**
+ * Throws a string formatted ArgumentParserError, for invalid input.
+ * @param {Object} details The code, flag, value and expected fields of the error, followed by the format arguments
+ */
+function pError(details) {
+	throw new ArgumentParserError(util.format.apply(undefined, _.tail(arguments)), details);
+}
+
+/**
+ * Trims matching quotes off the passed string.
+ * @param  {string} str
+ * @return {string}
+ */
+function trimQuotes(str) {
+	return str.replace(/^(['"])([\s\S]*)\1$/, '$2');
+}
+
+module.exports = {
+	fError,
+	pError,
+	trimQuotes
+};
@@ -1,7 +1,13 @@
 'use strict';
 
 const assert = require('assert'); // node.js core module
+const childProcess = require('child_process');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const _ = require('lodash');
 
 const ArgumentParser = require('../index');
 
@@ -11,8 +17,29 @@ function testErrorMessage(regex) {
 	return error => regex.test(error.message);
 }
 
-function dArg(obj) {
-	return new ArgumentParser('test', obj);
+function catchError(fn) {
+	try {
+		fn();
+	} catch (error) {
+		return error;
+	}
+	throw new Error('Did not throw error');
+}
+
+function removeDir(dir) {
+	fs.readdirSync(dir).forEach(name => {
+		const file = path.join(dir, name);
+		if (fs.lstatSync(file).isDirectory()) {
+			removeDir(file);
+		} else {
+			fs.unlinkSync(file);
+		}
+	});
+	fs.rmdirSync(dir);
+}
+
+function dArg(obj, options) {
+	return new ArgumentParser('test', obj, options);
 }
 
 /* eslint-disable max-nested-callbacks, key-spacing */
@@ -256,9 +283,9 @@ describe('ArgumentParser', () => {
 		it('Should throw when the input is garbage', () => {
 			assert.throws(
 				() => {
-					dArg({}).parse('sertzowe785nw3z8945psyie80wzsh\'\'+!!!daefpüs--');
+					dArg({}).parse('sertzowe785nw3z8945psyie80wzsh\'+!!!daefpüs--');
 				},
-				Error,
+				testErrorMessage(/Unterminated ' quote/),
 				'Did not throw error'
 			);
 		});
@@ -789,66 +816,3959 @@ describe('ArgumentParser', () => {
 
 	});
 
-	const argumentTestString = 'Description: test\n\
-Short Name    Type                  Default  Required  Description   \n\
-\n\
-t     test    string matching hurp           false                   \n\
-      test-2  enum (a,b,c)                   false                   \n\
-      test-3  file                           false                   \n\
-      test-4  1<=number<=5          3        false                   \n\
-      test-5  array of string                false                   \n\
-      help                                   false     Show the help ';
-// jshint multistr: false
-// jscs:enable disallowMultipleLineStrings
+	describe('#parse() tokenizer', () => {
 
-	describe('#getHelpString()', () => {
+		function dString() {
+			return dArg({
+				test: {
+					type: 'string'
+				}
+			});
+		}
 
-		it('Correctly prints a simple help info', () => {
+		it('Should keep nested quotes', () => {
+			assert.equal(dString().parse('--test "it\'s"').test, 'it\'s');
+			assert.equal(dString().parse('--test \'say "hi"\'').test, 'say "hi"');
+		});
 
-			assert.equal(
+		it('Should handle backslash escapes', () => {
+			assert.equal(dString().parse('--test hello\\ world').test, 'hello world');
+			assert.equal(dString().parse('--test "a\\"b\\\\c\\d"').test, 'a"b\\c\\d');
+			assert.equal(dString().parse('--test \'a\\b\'').test, 'a\\b');
+		});
+
+		it('Should treat escaped newlines as line continuations', () => {
+			assert.equal(dString().parse('--test \\\n"a\\\nb"').test, 'ab');
+		});
+
+		it('Should concatenate adjacent quoted parts', () => {
+			assert.equal(dString().parse('--test a"b c"\'d\'').test, 'ab cd');
+		});
+
+		it('Should support empty strings', () => {
+			assert.equal(dString().parse('--test ""').test, '');
+		});
+
+		it('Should throw on unterminated double quotes', () => {
+			assert.throws(
+				() => dString().parse('--test "abc'),
+				testErrorMessage(/Unterminated " quote/),
+				'Did not throw error'
+			);
+		});
+
+	});
+
+	describe('#parseArgv()', () => {
+
+		it('Should treat every element as a single argument', () => {
+			assert.deepEqual(
 				dArg({
 					test: {
-						type:	'string',
-						regex:	/hurp/,
-						short:  't'
+						type:		'string'
 					},
 					test2: {
-						enum: ['a', 'b', 'c']
-					},
-					test3: {
-						type: 'file'
-					},
-					test4: {
-						type:		'number',
-						min:		1,
-						max:		5,
-						default:	3
-					},
-					test5: {
 						type:		'array',
-						subType:	'string'
+						subType:	'integer'
 					}
-				}).getHelpString(),
-				argumentTestString
+				}).parseArgv(['--test', 'a "quoted", value', '--test2', '1,2']),
+				{
+					test:	'a "quoted", value',
+					test2:	[1, 2]
+				}
+			);
+		});
+
+		it('Should keep empty strings instead of falling back to the default', () => {
+			assert.equal(
+				dArg({
+					test: {
+						type:		'string',
+						default:	'hello'
+					}
+				}).parseArgv(['--test', '']).test,
+				''
+			);
+		});
+
+		it('Should accept negative numbers as values', () => {
+			assert.equal(
+				dArg({
+					test: {
+						type:		'integer'
+					}
+				}).parseArgv(['--test', '-5']).test,
+				-5
+			);
+		});
+
+		it('Should error when a short flag was set twice', () => {
+			assert.throws(
+				() => dArg({
+					test: {
+						type:		'integer',
+						short:		't'
+					}
+				}).parseArgv(['-t', '1', '-t', '2']),
+				testErrorMessage(/Dublicate flag 'test'/),
+				'Did not throw error'
 			);
 		});
 
 	});
 
-	describe('#run()', () => {
+	describe('attached values', () => {
 
-		it('Correctly pipes process.argv', () => {
-			const oldArgv = process.argv;
-			process.argv = ['program', 'other', '--test', '1'];
+		function dTar() {
+			return dArg({
+				extract: {
+					type:		'boolean',
+					short:		'x'
+				},
+				verbose: {
+					type:		'boolean',
+					short:		'v'
+				},
+				file: {
+					type:		'string',
+					short:		'f'
+				},
+				port: {
+					type:		'integer',
+					short:		'p'
+				}
+			});
+		}
+
+		it('Should parse --flag=value', () => {
+			assert.deepEqual(
+				dTar().parseArgv(['--file=a=b,c', '--port=8080']),
+				{
+					file:	'a=b,c',
+					port:	8080
+				}
+			);
+		});
+
+		it('Should parse empty attached values', () => {
+			assert.equal(dTar().parseArgv(['--file=']).file, '');
+		});
+
+		it('Should parse attached short values', () => {
+			assert.equal(dTar().parse('-p8080').port, 8080);
+			assert.equal(dTar().parse('-p=8080').port, 8080);
+		});
+
+		it('Should let the last short flag of a cluster consume the following value', () => {
+			assert.deepEqual(
+				dTar().parse('-xvf file.tar'),
+				{
+					extract:	true,
+					verbose:	true,
+					file:		'file.tar'
+				}
+			);
+		});
+
+		it('Should attach the rest of a cluster to the first flag taking a value', () => {
+			assert.deepEqual(
+				dTar().parse('-xvffile.tar'),
+				{
+					extract:	true,
+					verbose:	true,
+					file:		'file.tar'
+				}
+			);
+		});
+
+		it('Should not consume the following value when the value is attached', () => {
+			assert.deepEqual(
+				dTar().parse('--file=a b'),
+				{
+					file:		'a',
+					__append__:	'b'
+				}
+			);
+		});
+
+		it('Should error on unknown short flags in a cluster', () => {
+			assert.throws(
+				() => dTar().parse('-xz'),
+				testErrorMessage(/Unknown flag 'z'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should not resolve short flags to long flags with the same name', () => {
+			const parser = dArg({
+				x: {
+					type:	'boolean'
+				}
+			});
+			const error = catchError(() => parser.parse('-x'));
+			assert.equal(error.code, 'UNKNOWN_FLAG');
+			assert.equal(error.message, 'Unknown flag \'x\', did you mean \'--x\'?');
+			assert.deepEqual(parser.parse('--x'), {x: true});
+		});
+
+	});
+
+	describe('boolean negation', () => {
+
+		function dColor() {
+			return dArg({
+				color: {
+					type:		'boolean',
+					default:	true
+				},
+				dryRun: {
+					type:		'boolean'
+				},
+				force: {
+					type:		'boolean',
+					negatable:	false
+				}
+			});
+		}
+
+		it('Should negate boolean flags with --no-', () => {
+			assert.deepEqual(
+				dColor().parse('--no-color --no-dry-run'),
+				{
+					color:	false,
+					dryRun:	false
+				}
+			);
+		});
+
+		it('Should accept explicit boolean values', () => {
+			[
+				['true', true], ['yes', true], ['1', true], ['TRUE', true],
+				['false', false], ['no', false], ['0', false], ['No', false]
+			].forEach(pair => {
+				assert.strictEqual(dColor().parse('--color=' + pair[0]).color, pair[1]);
+			});
+		});
+
+		it('Should error on invalid boolean values', () => {
+			assert.throws(
+				() => dColor().parse('--color=maybe'),
+				testErrorMessage(/Invalid boolean value for 'color'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should error when a value is attached to a negated flag', () => {
+			assert.throws(
+				() => dColor().parse('--no-color=false'),
+				testErrorMessage(/Flag 'no-color' does not take a value/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should error when a flag is set and negated', () => {
+			assert.throws(
+				() => dColor().parse('--color --no-color'),
+				testErrorMessage(/Dublicate flag 'color'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should not negate flags that opted out', () => {
+			assert.throws(
+				() => dColor().parse('--no-force'),
+				testErrorMessage(/Unknown flag 'noForce'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dColor().parse('--no-help'),
+				testErrorMessage(/Unknown flag 'noHelp'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should prefer flags that start with no', () => {
+			assert.deepEqual(
+				dArg({
+					noCache: {
+						type:		'boolean'
+					},
+					cache: {
+						type:		'boolean'
+					}
+				}).parse('--no-cache'),
+				{
+					noCache:	true
+				}
+			);
+		});
+
+		it('Should recognize negated flags in front of commands', () => {
+			const parser = dArg({
+				color: {
+					type:		'boolean',
+					global:		true
+				}
+			});
+			parser.addCommand('deploy', 'Deploy');
+			assert.deepEqual(parser.parse('--no-color deploy').__command__, ['deploy']);
+		});
+
+		it('Should show the negated form in the help', () => {
+			const help = dColor().getHelpString();
+			assert(/\n +--\[no-\]color +/.test(help));
+			assert(/\n +--force\n/.test(help));
+			assert(/\n +--help +/.test(help));
+		});
+
+	});
+
+	describe('environment variables', () => {
+
+		function dEnv(env, options) {
+			return dArg({
+				port: {
+					type:		'integer',
+					env:		'MYAPP_PORT',
+					default:	80
+				},
+				dryRun: {
+					type:		'boolean'
+				},
+				level: {
+					enum:		['info', 'debug'],
+					env:		false
+				}
+			}, _.assign({env}, options));
+		}
+
+		it('Should throw when env is not a string', () => {
+			assert.throws(
+				() => dArg({
+					test: {
+						env:	true
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'env'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should prefer the command line over the environment over the default', () => {
+			assert.equal(dEnv({MYAPP_PORT: '8080'}).parse('--port 9090').port, 9090);
+			assert.equal(dEnv({MYAPP_PORT: '8080'}).parse('').port, 8080);
+			assert.equal(dEnv({}).parse('').port, 80);
+			assert.equal(dEnv({MYAPP_PORT: ''}).parse('').port, 80);
+		});
+
+		it('Should derive variable names from the prefix', () => {
+			assert.deepEqual(
+				dEnv({APP_DRY_RUN: 'no', APP_LEVEL: 'debug', APP_HELP: '1'}, {envPrefix: 'APP'}).parse(''),
+				{
+					port:	80,
+					dryRun:	false
+				}
+			);
+		});
+
+		it('Should validate environment values', () => {
+			assert.throws(
+				() => dEnv({MYAPP_PORT: 'abc'}).parse(''),
+				testErrorMessage(/Could not parse number .* \(set by environment variable MYAPP_PORT\)/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should satisfy required flags from the environment', () => {
+			assert.equal(
+				dArg({
+					token: {
+						required:	true
+					}
+				}, {
+					envPrefix:	'APP_',
+					env:		{APP_TOKEN: 'secret'}
+				}).parse('').token,
+				'secret'
+			);
+		});
+
+		it('Should read process.env by default', () => {
+			process.env.ARGUMENT_PARSER_TEST = 'hello';
 			assert.equal(
 				dArg({
 					test: {
-						type:	'integer'
+						env:	'ARGUMENT_PARSER_TEST'
 					}
-				}).run().test,
-				1
+				}).parse('').test,
+				'hello'
 			);
-			process.argv = oldArgv;
+			delete process.env.ARGUMENT_PARSER_TEST;
+		});
+
+		it('Should pass the prefix on to subcommands', () => {
+			const parser = dArg({}, {
+				envPrefix:	'APP',
+				env:		{APP_STAGE: 'prod'}
+			});
+			parser.addCommand('deploy', 'Deploy', {
+				stage: {}
+			});
+			assert.equal(parser.parse('deploy').stage, 'prod');
+		});
+
+		it('Should show the variable names in the help', () => {
+			const help = dEnv({}, {envPrefix: 'APP'}).getHelpString();
+			assert(/ \[env: MYAPP_PORT\]/.test(help));
+			assert(/ \[env: APP_DRY_RUN\]/.test(help));
+			assert(!/APP_LEVEL|APP_HELP/.test(help));
+		});
+
+	});
+
+	describe('config files', () => {
+
+		function dConfig(options) {
+			return dArg({
+				port: {
+					type:		'integer',
+					default:	80
+				},
+				name: {
+					type:		'string'
+				},
+				level: {
+					enum:		['info', 'debug']
+				},
+				tags: {
+					type:		'array'
+				},
+				dryRun: {
+					type:		'boolean',
+					global:		true
+				}
+			}, _.assign({configFile: {}}, options));
+		}
+
+		it('Should load an explicitly passed json file', () => {
+			assert.deepEqual(
+				dConfig().parse('--config test/config_file.json'),
+				{
+					config:	'test/config_file.json',
+					port:	8080,
+					tags:	['a', 'b'],
+					dryRun:	true
+				}
+			);
+		});
+
+		it('Should prefer the command line over config files', () => {
+			assert.equal(dConfig().parse('--config test/config_file.json --port 1').port, 1);
+		});
+
+		it('Should prefer environment variables over config files', () => {
+			assert.equal(
+				dConfig({
+					envPrefix:	'APP',
+					env:		{APP_PORT: '2'}
+				}).parse('--config test/config_file.json').port,
+				2
+			);
+		});
+
+		it('Should read the config file path from the environment', () => {
+			assert.equal(
+				dConfig({
+					envPrefix:	'APP',
+					env:		{APP_CONFIG: 'test/config_file.json'}
+				}).parse('').port,
+				8080
+			);
+		});
+
+		it('Should load ini files and their sections', () => {
+			const parser = dConfig();
+			parser.addCommand('deploy', 'Deploy', {
+				env: {}
+			});
+			parser.addCommand('db', 'Database')
+			.addCommand('migrate', 'Migrate', {
+				steps: {
+					type:	'integer'
+				}
+			});
+			assert.deepEqual(
+				parser.parse('--config test/config_file.ini deploy'),
+				{
+					config:			'test/config_file.ini',
+					port:			9090,
+					name:			'hello world',
+					env:			'dev',
+					__command__:	['deploy']
+				}
+			);
+			assert.equal(parser.parse('db migrate --config test/config_file.ini').steps, 3);
+		});
+
+		it('Should let global flags of subcommands fall back to the parent sections', () => {
+			const parser = dConfig();
+			parser.addCommand('deploy', 'Deploy', {
+				env: {}
+			});
+			assert.deepEqual(
+				parser.parse('deploy --config test/config_file.json'),
+				{
+					config:			'test/config_file.json',
+					port:			8080,
+					tags:			['a', 'b'],
+					dryRun:			true,
+					env:			'prod',
+					__command__:	['deploy']
+				}
+			);
+		});
+
+		it('Should load dotenv files', () => {
+			assert.deepEqual(
+				dArg({
+					port: {
+						type:	'integer',
+						env:	'MYAPP_PORT'
+					},
+					name: {},
+					level: {},
+					single: {}
+				}, {configFile: {}}).parse('--config test/config_file.env'),
+				{
+					config:	'test/config_file.env',
+					port:	7070,
+					name:	'multi\nline',
+					level:	'debug',
+					single:	'a # b'
+				}
+			);
+		});
+
+		it('Should discover rc files from the working directory upwards, then in the home directory', () => {
+			assert.deepEqual(
+				dConfig({
+					configFile: {
+						name:	'.testrc',
+						cwd:	'test/rc/project',
+						home:	'test/rc/home',
+						flag:	false
+					}
+				}).parse(''),
+				{
+					name:	'project',
+					port:	1,
+					level:	'info',
+					tags:	['x', 'y']
+				}
+			);
+		});
+
+		it('Should accept the rc file name as string', () => {
+			const parser = dConfig({configFile: '.argument-parser-test-rc'});
+			assert.equal(parser.config.config.type, 'string');
+			assert.equal(parser.parse('').port, 80);
+		});
+
+		it('Should name the file and key that failed validation', () => {
+			assert.throws(
+				() => dConfig().parse('--config test/config_invalid.json'),
+				testErrorMessage(/Could not parse number .* \(set by port in config file .*config_invalid\.json\)/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should error when a config file could not be read or parsed', () => {
+			assert.throws(
+				() => dConfig().parse('--config test/missing.json'),
+				testErrorMessage(/Could not read config file .*missing\.json/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dConfig().parse('--config test/config_invalid.ini'),
+				testErrorMessage(/Could not parse config file .*config_invalid\.ini, Invalid line 1/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dConfig().parse('--config test/damaged_json.json'),
+				testErrorMessage(/Could not parse config file .*damaged_json\.json/),
+				'Did not throw error'
+			);
+		});
+
+	});
+
+	describe('repeatable flags', () => {
+
+		function dRepeat(options) {
+			return dArg({
+				verbose: {
+					type:		'count',
+					short:		'v',
+					max:		3
+				},
+				tag: {
+					type:		'string',
+					short:		't',
+					multiple:	true,
+					regex:		/^[a-z]+$/
+				},
+				port: {
+					type:		'integer',
+					multiple:	true,
+					default:	[80, 443]
+				},
+				list: {
+					type:		'array',
+					subType:	'integer',
+					multiple:	true
+				}
+			}, options);
+		}
+
+		it('Should throw when multiple is used with a switch', () => {
+			assert.throws(
+				() => dArg({
+					test: {
+						type:		'boolean',
+						multiple:	true
+					}
+				}),
+				testErrorMessage(/Cannot use 'multiple' when type is 'boolean'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should count the occurrences of count flags', () => {
+			assert.equal(dRepeat().parse('-vvv').verbose, 3);
+			assert.equal(dRepeat().parse('-v --verbose').verbose, 2);
+			assert.equal(dRepeat().parse('--verbose=2').verbose, 2);
+			assert.equal(dRepeat().parse('').verbose, undefined);
+		});
+
+		it('Should validate counts', () => {
+			assert.throws(
+				() => dRepeat().parse('-vvvv'),
+				testErrorMessage(/must be less or equal to 3/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should let count flags consume no value', () => {
+			assert.deepEqual(
+				dRepeat().parse('-vt a'),
+				{
+					verbose:	1,
+					tag:		['a'],
+					port:		[80, 443]
+				}
+			);
+		});
+
+		it('Should collect the values of repeatable flags', () => {
+			assert.deepEqual(
+				dRepeat().parse('--tag a -t b --tag=c --port 1 --list 1,2 --list 3'),
+				{
+					tag:	['a', 'b', 'c'],
+					port:	[1],
+					list:	[1, 2, 3]
+				}
+			);
+		});
+
+		it('Should validate every value of repeatable flags', () => {
+			assert.throws(
+				() => dRepeat().parse('--tag a --tag B'),
+				testErrorMessage(/did not match the regular expression/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should collect values from the environment and config files', () => {
+			assert.deepEqual(
+				dRepeat({
+					env:		{TEST_VERBOSE: '2', TEST_TAG: 'x'},
+					envPrefix:	'TEST',
+					configFile:	{}
+				}).parse('--config test/config_file.json'),
+				{
+					config:		'test/config_file.json',
+					verbose:	2,
+					tag:		['x'],
+					port:		[8080]
+				}
+			);
+		});
+
+		it('Should describe repeatable flags in the help', () => {
+			const help = dRepeat().getHelpString();
+			assert(/ \[count<=3\]/.test(help));
+			assert(/ \[string matching \^\[a-z\]\+\$, repeatable\]/.test(help));
+		});
+
+	});
+
+	describe('ArgumentParserError', () => {
+
+		const ArgumentParserError = ArgumentParser.ArgumentParserError;
+
+		function dStrict(options) {
+			return dArg({
+				port: {
+					type:		'integer',
+					min:		1,
+					max:		10
+				},
+				level: {
+					enum:		['info', 'debug']
+				},
+				name: {
+					type:		'string',
+					required:	true
+				},
+				verbose: {
+					type:		'boolean'
+				}
+			}, options);
+		}
+
+		it('Should be an Error with a default code', () => {
+			const error = new ArgumentParserError('test');
+			assert(error instanceof Error);
+			assert.equal(error.name, 'ArgumentParserError');
+			assert.equal(error.message, 'test');
+			assert.equal(error.code, undefined);
+		});
+
+		it('Should expose machine readable fields', () => {
+			let error = catchError(() => dStrict().parse('--name a --port 11'));
+			assert(error instanceof ArgumentParserError);
+			assert.equal(error.code, 'OUT_OF_RANGE');
+			assert.equal(error.flag, 'port');
+			assert.equal(error.value, 11);
+			assert.deepEqual(error.expected, {min: 1, max: 10});
+
+			error = catchError(() => dStrict().parse('--name a --level warn'));
+			assert.equal(error.code, 'INVALID_ENUM');
+			assert.equal(error.value, 'warn');
+			assert.deepEqual(error.expected, ['info', 'debug']);
+
+			error = catchError(() => dStrict().parse('--name a --port x'));
+			assert.equal(error.code, 'INVALID_TYPE');
+			assert.equal(error.expected, 'integer');
+
+			assert.equal(catchError(() => dStrict().parse('--nope')).code, 'UNKNOWN_FLAG');
+			assert.equal(catchError(() => dStrict().parse('')).code, 'MISSING_REQUIRED');
+			assert.equal(catchError(() => dStrict().parse('--name')).code, 'MISSING_VALUE');
+			assert.equal(catchError(() => dStrict().parse('--name a --name b')).code, 'DUPLICATE_FLAG');
+			assert.equal(catchError(() => dStrict().parse('--name a b c')).code, 'UNHANDLED_VALUE');
+			assert.equal(catchError(() => dStrict().parse('"')).code, 'UNTERMINATED_QUOTE');
+			assert.equal(catchError(() => dStrict().parse('--name a --verbose=x')).code, 'INVALID_TYPE');
+			assert.equal(catchError(() => dStrict().parse('--name a --no-verbose=x')).code, 'UNEXPECTED_VALUE');
+		});
+
+		it('Should throw the first error by default', () => {
+			const error = catchError(() => dStrict().parse('--port 11 --level warn'));
+			assert.equal(error.code, 'OUT_OF_RANGE');
+			assert.equal(error.errors, undefined);
+		});
+
+		it('Should collect all errors', () => {
+			const error = catchError(() =>
+				dStrict({collectErrors: true}).parse('--port x --verbos --level warn extra values')
+			);
+			assert.equal(error.code, 'MULTIPLE_ERRORS');
+			assert.deepEqual(
+				error.errors.map(error => [error.code, error.flag]),
+				[
+					['INVALID_TYPE', 'port'],
+					['UNKNOWN_FLAG', 'verbos'],
+					['INVALID_ENUM', 'level'],
+					['UNHANDLED_VALUE', undefined],
+					['MISSING_REQUIRED', 'name']
+				]
+			);
+			assert.equal(error.message, error.errors.map(error => error.message).join('\n'));
+		});
+
+		it('Should throw a single collected error as is', () => {
+			const error = catchError(() => dStrict({collectErrors: true}).parse('--level warn --name a'));
+			assert.equal(error.code, 'INVALID_ENUM');
+		});
+
+		it('Should collect errors of positional arguments and subcommands', () => {
+			const parser = dArg({}, {collectErrors: true});
+			parser.addCommand('add', 'Add', {
+				force: {
+					type:	'boolean'
+				}
+			}, {
+				positionals: [{
+					name:		'a',
+					type:		'integer',
+					required:	true
+				}, {
+					name:		'b'
+				}, {
+					name:		'c...',
+					type:		'integer'
+				}]
+			});
+			const error = catchError(() => parser.parse('add x y 1 z --force=maybe'));
+			assert.deepEqual(
+				error.errors.map(error => [error.code, error.flag]),
+				[
+					['INVALID_TYPE', 'force'],
+					['INVALID_TYPE', 'a'],
+					['INVALID_TYPE', 'c']
+				]
+			);
+			assert.equal(catchError(() => parser.parse('add')).code, 'MISSING_REQUIRED');
+		});
+
+		it('Should report config file errors once', () => {
+			const error = catchError(() =>
+				dStrict({collectErrors: true, configFile: {}}).parse('--name a --config test/missing.json')
+			);
+			assert.equal(error.code, 'INVALID_CONFIG_FILE');
+			assert(/test\/missing\.json$/.test(error.value));
+		});
+
+		it('Should rethrow unexpected errors when collecting errors', () => {
+			assert.throws(
+				() => dArg({
+					test: {
+						type:		'string',
+						requiredIf:	() => {
+							throw new TypeError('broken condition');
+						}
+					}
+				}, {collectErrors: true}).parse(''),
+				error => !(error instanceof ArgumentParserError) && error instanceof TypeError,
+				'Did not throw error'
+			);
+		});
+
+		it('Should not report errors when help was requested', () => {
+			assert.equal(dStrict({collectErrors: true}).parse('--port x --help'), false);
+		});
+
+	});
+
+	describe('suggestions', () => {
+
+		function dTypo() {
+			const parser = dArg({
+				verbose: {
+					type:		'boolean',
+					short:		'v'
+				},
+				version: {
+					type:		'boolean'
+				},
+				level: {
+					enum:		['info', 'debug', 'warning']
+				},
+				output: {
+					short:		'O'
+				}
+			});
+			parser.addCommand('deploy', 'Deploy');
+			parser.addCommand('destroy', 'Destroy');
+			return parser;
+		}
+
+		it('Should calculate edit distances', () => {
+			const editDistance = require('../lib/suggest').editDistance;
+			assert.equal(editDistance('', 'abc'), 3);
+			assert.equal(editDistance('abc', ''), 3);
+			assert.equal(editDistance('verbose', 'verbose'), 0);
+			assert.equal(editDistance('verbsoe', 'verbose'), 1);
+			assert.equal(editDistance('kitten', 'sitting'), 3);
+		});
+
+		it('Should suggest unknown long flags', () => {
+			const error = catchError(() => dTypo().parse('--verbsoe'));
+			assert.equal(error.message, 'Unknown flag \'verbsoe\', did you mean \'--verbose\'?');
+			assert.deepEqual(error.suggestions, ['--verbose']);
+		});
+
+		it('Should suggest all equally close flags', () => {
+			assert.deepEqual(catchError(() => dTypo().parse('--versoin')).suggestions, ['--version']);
+			assert.deepEqual(catchError(() => dTypo().parse('--verxion')).suggestions, ['--version']);
+			assert.equal(
+				catchError(() => dTypo().parse('--verbon')).message,
+				'Unknown flag \'verbon\', did you mean \'--verbose\' or \'--version\'?'
+			);
+		});
+
+		it('Should suggest negated flags', () => {
+			assert.deepEqual(catchError(() => dTypo().parse('--no-verbos')).suggestions, ['--no-verbose']);
+		});
+
+		it('Should not suggest anything when nothing is close', () => {
+			const error = catchError(() => dTypo().parse('--something'));
+			assert.equal(error.message, 'Unknown flag \'something\'');
+			assert.deepEqual(error.suggestions, []);
+		});
+
+		it('Should suggest short flags differing in case', () => {
+			assert.deepEqual(catchError(() => dTypo().parse('-V')).suggestions, ['-v']);
+			assert.deepEqual(catchError(() => dTypo().parse('-o')).suggestions, ['-O']);
+			assert.deepEqual(catchError(() => dTypo().parse('-x')).suggestions, []);
+		});
+
+		it('Should suggest enum values', () => {
+			const error = catchError(() => dTypo().parse('--level warnign'));
+			assert.equal(
+				error.message,
+				'Invalid enum value for \'level\' must be in [info,debug,warning], did you mean \'warning\'?'
+			);
+			assert.deepEqual(error.suggestions, ['warning']);
+		});
+
+		it('Should not suggest values that would replace the whole input', () => {
+			const parser = dArg({
+				mode: {
+					enum:	['a', 'b', 'ab']
+				}
+			});
+			const error = catchError(() => parser.parse('--mode c'));
+			assert.equal(error.message, 'Invalid enum value for \'mode\' must be in [a,b,ab]');
+			assert.deepEqual(error.suggestions, []);
+			assert.deepEqual(catchError(() => parser.parse('--mode A')).suggestions, ['a']);
+			assert.deepEqual(catchError(() => parser.parse('--mode ac')).suggestions, ['a', 'ab']);
+		});
+
+		it('Should suggest subcommands', () => {
+			const error = catchError(() => dTypo().parse('deplyo'));
+			assert.equal(error.code, 'UNKNOWN_COMMAND');
+			assert.equal(error.message, 'Unknown command \'deplyo\', did you mean \'deploy\'?');
+			assert.deepEqual(error.expected, ['deploy', 'destroy']);
+		});
+
+	});
+
+	describe('end of options', () => {
+
+		it('Should pass everything after -- through untouched', () => {
+			assert.deepEqual(
+				dArg({
+					verbose: {
+						type:	'boolean'
+					}
+				}).parse('--verbose -- npm test --watch -- "a b"'),
+				{
+					verbose:	true,
+					__rest__:	['npm', 'test', '--watch', '--', 'a b']
+				}
+			);
+		});
+
+		it('Should return an empty array when nothing follows --', () => {
+			assert.deepEqual(dArg({}).parseArgv(['--']), {__rest__: []});
+		});
+
+		it('Should not look for help or commands after --', () => {
+			const parser = dArg({});
+			parser.addCommand('deploy', 'Deploy');
+			assert.deepEqual(
+				parser.parseArgv(['--', 'deploy', '--help']),
+				{
+					__rest__:		['deploy', '--help'],
+					__command__:	[]
+				}
+			);
+		});
+
+		it('Should pass the remaining arguments through from a subcommand', () => {
+			const parser = dArg({});
+			parser.addCommand('exec', 'Execute');
+			assert.deepEqual(
+				parser.parseArgv(['exec', '--', 'ls', '-la']),
+				{
+					__rest__:		['ls', '-la'],
+					__command__:	['exec']
+				}
+			);
+		});
+
+	});
+
+	describe('positional arguments', () => {
+
+		function dCopy() {
+			return dArg({
+				force: {
+					type:		'boolean'
+				}
+			}, {
+				positionals: [{
+					name:		'source',
+					required:	true,
+					description: 'The source'
+				}, {
+					name:		'dest',
+					required:	true
+				}, {
+					name:		'files...',
+					type:		'integer'
+				}]
+			});
+		}
+
+		it('Should throw when the name of a positional argument is invalid', () => {
+			assert.throws(
+				() => dArg({}, {positionals: [{name: '$'}]}),
+				testErrorMessage(/Invalid positional argument/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should throw when a variadic positional argument is not the last one', () => {
+			assert.throws(
+				() => dArg({}, {positionals: [{name: 'a...'}, {name: 'b'}]}),
+				testErrorMessage(/Only the last positional argument can be variadic/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should throw when a required positional argument follows an optional one', () => {
+			assert.throws(
+				() => dArg({}, {positionals: [{name: 'a'}, {name: 'b', required: true}]}),
+				testErrorMessage(/cannot follow an optional one/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should validate positional arguments like flags', () => {
+			assert.throws(
+				() => dArg({}, {positionals: [{name: 'a', type: 'dongs'}]}),
+				testErrorMessage(/Invalid argument to 'type'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should assign values to positional arguments in order', () => {
+			assert.deepEqual(
+				dCopy().parse('a --force b 1 2 3'),
+				{
+					force:	true,
+					source:	'a',
+					dest:	'b',
+					files:	[1, 2, 3]
+				}
+			);
+		});
+
+		it('Should validate the values of positional arguments', () => {
+			assert.throws(
+				() => dCopy().parse('a b 1 c'),
+				testErrorMessage(/Could not parse number from argument for 'files'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should error when a required positional argument is missing', () => {
+			assert.throws(
+				() => dCopy().parse('a'),
+				testErrorMessage(/Positional argument 'dest' is required/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should error on values exceeding the positional arguments', () => {
+			assert.throws(
+				() => dArg({}, {positionals: [{name: 'a'}]}).parse('a b'),
+				testErrorMessage(/Unhandled value b/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should fall back to the defaults of positional arguments', () => {
+			assert.deepEqual(
+				dArg({}, {
+					positionals: [{
+						name:		'a',
+						enum:		['x', 'y'],
+						default:	'x'
+					}, {
+						name:		'b...',
+						type:		'integer',
+						default:	[1, 2]
+					}]
+				}).parse(''),
+				{
+					a:	'x',
+					b:	[1, 2]
+				}
+			);
+		});
+
+		it('Should error on multiple values when no positional arguments were declared', () => {
+			assert.throws(
+				() => dArg({}).parse('a b'),
+				testErrorMessage(/Unhandled value a/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should not consume values following boolean flags', () => {
+			assert.deepEqual(
+				dArg({
+					test: {
+						type: 'boolean'
+					}
+				}).parse('--test hello'),
+				{
+					test:		true,
+					__append__:	'hello'
+				}
+			);
+		});
+
+		it('Should list the positional arguments in the help', () => {
+			const help = dCopy().getHelpString('cp').split('\n');
+			assert.equal(help[0], 'Usage: cp [options] <source> <dest> [files...]');
+			assert.deepEqual(help.slice(4, 8), [
+				'Arguments:',
+				'  source    The source [string] [required]',
+				'  dest      [string] [required]',
+				'  files...  [integer]'
+			]);
+		});
+
+		it('Should include the command path in the usage', () => {
+			assert.equal(
+				dArg({}).addCommand('cp', 'copy', {}, {positionals: [{name: 'a'}]}).getUsageString(),
+				'cp [options] [a]'
+			);
+			assert.equal(
+				dArg({}).addCommand('cp', 'copy').parent.getUsageString(),
+				'[options] <command>'
+			);
+		});
+
+	});
+
+	const argumentTestString = 'Usage: test-program [options]\n\
+\n\
+test\n\
+\n\
+Options:\n\
+  -t, --test    [string matching hurp]\n\
+      --test-2  [enum (a,b,c)]\n\
+      --test-3  [file]\n\
+      --test-4  [1<=number<=5] [default: 3]\n\
+      --test-5  [array of string]\n\
+      --help    Show the help';
+// jshint multistr: false
+// jscs:enable disallowMultipleLineStrings
+
+	describe('custom types', () => {
+
+		const hex = {
+			parse: value => {
+				if (!/^(0x)?[0-9a-f]+$/i.test(value)) {
+					throw new Error('must be a hexadecimal number');
+				}
+				return parseInt(value, 16);
+			},
+			describe: entry => 'hex' + (entry.max ? '<=' + entry.max.toString(16) : ''),
+			complete: () => ['0x00', '0xff']
+		};
+		ArgumentParser.registerType('hex', hex);
+
+		it('Should throw for invalid types', () => {
+			assert.throws(
+				() => ArgumentParser.registerType('$', hex),
+				testErrorMessage(/Invalid type name \$/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => ArgumentParser.registerType('integer', hex),
+				testErrorMessage(/Cannot override the built-in type integer/),
+				'Did not throw error'
+			);
+			['array', 'map'].forEach(name => assert.throws(
+				() => ArgumentParser.registerType(name, hex),
+				testErrorMessage(new RegExp(`Cannot override the built-in type ${name}`)),
+				'Did not throw error'
+			));
+			assert.throws(
+				() => ArgumentParser.registerType('nothing', {}),
+				testErrorMessage(/Invalid type nothing, 'parse' must be a function/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({}, {types: {weird: {parse: _.identity, describe: 'weird'}}}),
+				testErrorMessage(/Invalid type weird, 'describe' must be a function/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should parse registered types as type and subType', () => {
+			const parser = dArg({
+				color: {
+					type:		'hex',
+					default:	'ff'
+				},
+				bytes: {
+					type:		'array',
+					subType:	'hex'
+				}
+			});
+			assert.deepEqual(parser.parse('--bytes 0a,"0B"'), {color: 255, bytes: [10, 11]});
+		});
+
+		it('Should report errors of custom types as invalid type errors', () => {
+			let error;
+			try {
+				dArg({
+					color: {
+						type:	'hex'
+					}
+				}).parse('--color red');
+			} catch (e) {
+				error = e;
+			}
+			assert(error instanceof ArgumentParser.ArgumentParserError);
+			assert.equal(error.code, 'INVALID_TYPE');
+			assert.equal(error.expected, 'hex');
+			assert.equal(error.value, 'red');
+			assert.equal(error.message, 'Invalid hex value for \'color\', must be a hexadecimal number');
+		});
+
+		it('Should pass ArgumentParserErrors of custom types through', () => {
+			const thrown = new ArgumentParser.ArgumentParserError('custom', {code: 'CUSTOM'});
+			assert.throws(
+				() => dArg({
+					test: {
+						type:	'strict'
+					}
+				}, {
+					types: {
+						strict: {
+							parse: () => {
+								throw thrown;
+							}
+						}
+					}
+				}).parse('--test a'),
+				error => error === thrown,
+				'Did not throw error'
+			);
+		});
+
+		it('Should run validators on the parsed value', () => {
+			const parser = dArg({
+				color: {
+					type:		'hex',
+					validator:	value => {
+						if (value > 255) {
+							throw new Error('too large');
+						}
+					}
+				}
+			});
+			assert.equal(parser.parse('--color 0x10').color, 16);
+			assert.throws(
+				() => parser.parse('--color 100'),
+				testErrorMessage(/Validator failed for argument for 'color', 'too large'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should keep types of a parser to itself and its subcommands', () => {
+			const upper = {parse: value => value.toUpperCase()};
+			const parser = dArg({
+				name: {
+					type:	'upper'
+				}
+			}, {types: {upper}});
+			parser.registerType('lower', {parse: value => value.toLowerCase()})
+			.addCommand('greet', 'Greet', {
+				greeting: {
+					type:	'lower'
+				},
+				target: {
+					type:	'upper'
+				}
+			});
+			assert.deepEqual(parser.parse('--name a greet --greeting HI --target b'), {
+				name:		'A',
+				greeting:	'hi',
+				target:		'B',
+				__command__:	['greet']
+			});
+			assert.throws(
+				() => dArg({
+					name: {
+						type:	'upper'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'type', 'upper' specified must be \[array,map,boolean,.*,hex\]/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should describe custom types in the help', () => {
+			const parser = dArg({
+				color: {
+					type:		'hex',
+					max:		255
+				},
+				colors: {
+					type:		'array',
+					subType:	'hex'
+				},
+				name: {
+					type:		'upper'
+				}
+			}, {types: {upper: {parse: _.identity}}});
+			assert.equal(parser.getFlagHelpInfo('color').type, 'hex<=ff');
+			assert.equal(parser.getFlagHelpInfo('colors').type, 'array of hex');
+			assert.equal(parser.getFlagHelpInfo('name').type, 'upper');
+		});
+
+		it('Should complete values using the complete function of the type', () => {
+			const parser = dArg({
+				color: {
+					type:		'hex'
+				}
+			});
+			assert(parser.getCompletionScript('bash', 'prog').indexOf('--get-completions \'\' color') > -1);
+			return parser.getCompletions('', 'color', '').then(values => assert.deepEqual(values, ['0x00', '0xff']));
+		});
+
+		it('Should export custom types to JSON Schema', () => {
+			const parser = dArg({
+				color: {
+					type:		'hex'
+				}
+			});
+			assert.deepEqual(parser.toJSONSchema().properties.color, {type: 'string', 'x-type': 'hex'});
+			assert.equal(ArgumentParser.fromJSONSchema(parser.toJSONSchema()).config.color.type, 'hex');
+		});
+
+	});
+
+	describe('rich types', () => {
+
+		it('Should parse urls', () => {
+			const parser = dArg({
+				endpoint: {
+					type:	'url'
+				}
+			});
+			const endpoint = parser.parse('--endpoint http://example.com:8080/api?q=1').endpoint;
+			assert.equal(endpoint.hostname, 'example.com');
+			assert.equal(endpoint.port, '8080');
+			assert.equal(endpoint.pathname, '/api');
+			const error = catchError(() => parser.parse('--endpoint example'));
+			assert.equal(error.code, 'INVALID_TYPE');
+			assert.equal(error.expected, 'url');
+			assert(/^Invalid url value for 'endpoint', /.test(error.message));
+		});
+
+		it('Should parse dates and check their range', () => {
+			const parser = dArg({
+				since: {
+					type:	'date',
+					min:	'2020-01-01',
+					max:	new Date('2030-01-01T00:00:00Z')
+				}
+			});
+			const since = parser.parse('--since 2026-01-01').since;
+			assert(since instanceof Date);
+			assert.equal(since.toISOString(), '2026-01-01T00:00:00.000Z');
+			assert.throws(
+				() => parser.parse('--since tomorrow'),
+				testErrorMessage(/Invalid date value for 'since', must be a date like 2026-01-31/),
+				'Did not throw error'
+			);
+			const error = catchError(() => parser.parse('--since 2019-12-31'));
+			assert.equal(error.code, 'OUT_OF_RANGE');
+			assert.equal(error.message,
+				'Argument for \'since\' must be between 2020-01-01 and 2030-01-01T00:00:00.000Z');
+		});
+
+		it('Should parse durations into milliseconds', () => {
+			const parser = dArg({
+				timeout: {
+					type:	'duration',
+					min:	'1s'
+				},
+				retries: {
+					type:		'array',
+					subType:	'duration',
+					max:		60000
+				}
+			});
+			assert.deepEqual(parser.parse('--timeout 1h30m --retries 500ms,1.5s,1m'), {
+				timeout:	5400000,
+				retries:	[500, 1500, 60000]
+			});
+			assert.equal(parser.parse('--timeout 2000').timeout, 2000);
+			assert.equal(parser.parse('--timeout "1m 30s"').timeout, 90000);
+			['1.5.5', '10 20', '1h30', 'ms', '', '1' + _.repeat('1', 5000) + 'x'].forEach(value => assert.throws(
+				() => parser.parseArgv(['--timeout', value]),
+				testErrorMessage(/Invalid duration value for 'timeout'/),
+				'Did not throw error for ' + value
+			));
+			assert.throws(
+				() => parser.parse('--timeout 5y'),
+				testErrorMessage(/Invalid duration value for 'timeout', must be a duration like 500ms, 30s or 1h30m/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--timeout 999ms'),
+				testErrorMessage(/Argument for 'timeout' must be greater or equal to 1s/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--retries 1s,2m'),
+				testErrorMessage(/Argument for 'retries' must be less or equal to 60000/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should parse sizes into bytes', () => {
+			const parser = dArg({
+				max: {
+					type:	'size',
+					max:	'1GiB'
+				}
+			});
+			assert.equal(parser.parse('--max 512').max, 512);
+			assert.equal(parser.parse('--max 64kB').max, 64000);
+			assert.equal(parser.parse('--max 10MB').max, 10000000);
+			assert.equal(parser.parse('--max 1.5KiB').max, 1536);
+			assert.equal(parser.parse('--max "2 mib"').max, 2097152);
+			assert.throws(
+				() => parser.parse('--max 10XB'),
+				testErrorMessage(/Invalid size value for 'max', must be a size like 512, 64kB, 10MB or 1.5GiB/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--max 2GB'),
+				testErrorMessage(/Argument for 'max' must be less or equal to 1GiB/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should parse ports', () => {
+			const parser = dArg({
+				port: {
+					type:	'port',
+					min:	1024
+				}
+			});
+			assert.strictEqual(parser.parse('--port 8080').port, 8080);
+			['http', '80.5', '65536', '-1'].forEach(port => assert.throws(
+				() => parser.parse('--port=' + port),
+				testErrorMessage(/Invalid port value for 'port', must be an integer between 0 and 65535/),
+				'Did not throw error'
+			));
+			assert.throws(
+				() => parser.parse('--port 80'),
+				testErrorMessage(/Argument for 'port' must be greater or equal to 1024/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should parse ip addresses', () => {
+			const parser = dArg({
+				listen: {
+					type:	'ip'
+				}
+			});
+			assert.equal(parser.parse('--listen 0.0.0.0').listen, '0.0.0.0');
+			assert.equal(parser.parse('--listen ::1').listen, '::1');
+			assert.throws(
+				() => parser.parse('--listen 256.0.0.1'),
+				testErrorMessage(/Invalid ip value for 'listen', must be an IPv4 or IPv6 address/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should compile regular expressions', () => {
+			const parser = dArg({
+				include: {
+					type:	'regexp'
+				}
+			});
+			assert.deepEqual(parser.parse('--include ^src/.*[.]js$').include, /^src\/.*[.]js$/);
+			assert.deepEqual(parser.parse('--include /test/gi').include, /test/gi);
+			assert.throws(
+				() => parser.parse('--include "(a"'),
+				testErrorMessage(/Invalid regexp value for 'include', Invalid regular expression/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should accept values from config files and defaults', () => {
+			const parser = dArg({
+				timeout: {
+					type:		'duration',
+					default:	'30s'
+				},
+				since: {
+					type:		'date',
+					default:	new Date(0)
+				},
+				pattern: {
+					type:		'regexp',
+					default:	/a/
+				}
+			});
+			assert.deepEqual(parser.parse(''), {timeout: 30000, since: new Date(0), pattern: /a/});
+		});
+
+		it('Should throw for invalid bounds', () => {
+			assert.throws(
+				() => dArg({
+					timeout: {
+						type:	'duration',
+						min:	'soon'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'min', must be a valid duration/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					since: {
+						type:		'array',
+						subType:	'date',
+						max:		'someday'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'max', must be a valid date/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					port: {
+						type:	'port',
+						max:	'80'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'max', must be a number/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should describe the types in the help', () => {
+			const parser = dArg({
+				timeout: {
+					type:	'duration',
+					min:	'1s',
+					max:	'1h'
+				},
+				since: {
+					type:	'date',
+					min:	'2020-01-01'
+				},
+				size: {
+					type:	'size',
+					max:	'10MB'
+				},
+				port: {
+					type:	'port'
+				},
+				hosts: {
+					type:		'array',
+					subType:	'ip'
+				}
+			});
+			assert.equal(parser.getFlagHelpInfo('timeout').type, '1s<=duration<=1h');
+			assert.equal(parser.getFlagHelpInfo('since').type, '2020-01-01<=date');
+			assert.equal(parser.getFlagHelpInfo('size').type, 'size<=10MB');
+			assert.equal(parser.getFlagHelpInfo('port').type, 'port');
+			assert.equal(parser.getFlagHelpInfo('hosts').type, 'array of ip');
+		});
+
+		it('Should export the types to JSON Schema', () => {
+			const properties = dArg({
+				port: {
+					type:	'port',
+					min:	1024
+				},
+				timeout: {
+					type:	'duration',
+					min:	1000
+				}
+			}).toJSONSchema().properties;
+			assert.deepEqual(properties.port, {type: 'integer', 'x-type': 'port', minimum: 1024});
+			assert.deepEqual(properties.timeout, {type: 'string', 'x-type': 'duration'});
+		});
+
+	});
+
+	describe('aliases and deprecated flags', () => {
+
+		function createParser(warnings) {
+			return dArg({
+				color: {
+					type:		'boolean',
+					aliases:	['colour'],
+					deprecated:	'colorize'
+				},
+				logLevel: {
+					type:		'string',
+					short:		'l',
+					aliases:	['verbosity', 'log'],
+					deprecated:	{
+						debugLevel:	'it will be removed in 3.0'
+					}
+				}
+			}, {onWarning: (message, details) => warnings.push({message, details})});
+		}
+
+		it('Should throw for invalid aliases', () => {
+			assert.throws(
+				() => dArg({
+					color: {
+						type:		'boolean',
+						aliases:	['$colour']
+					}
+				}),
+				testErrorMessage(/Invalid alias \$colour of flag color/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					color: {
+						type:		'boolean',
+						aliases:	['debug']
+					},
+					debug: {
+						type:		'boolean'
+					}
+				}),
+				testErrorMessage(/Duplicate flag name debug/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					color: {
+						type:		'boolean',
+						aliases:	['colour'],
+						deprecated:	['colour']
+					}
+				}),
+				testErrorMessage(/Duplicate flag name colour/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					color: {
+						type:		'boolean',
+						deprecated:	true
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'deprecated', must be a string, an array or an object/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({}, {onWarning: 'log'}),
+				testErrorMessage(/Invalid argument to 'onWarning', must be a function/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should accept aliases like the flag itself', () => {
+			const warnings = [];
+			const parser = createParser(warnings);
+			assert.deepEqual(parser.parse('--colour --verbosity=debug'), {color: true, logLevel: 'debug'});
+			assert.deepEqual(parser.parse('--no-colour --log info'), {color: false, logLevel: 'info'});
+			assert.deepEqual(warnings, []);
+			assert.throws(
+				() => parser.parse('--log-level a --log b'),
+				testErrorMessage(/Dublicate flag 'logLevel'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should accept deprecated names with a warning', () => {
+			const warnings = [];
+			const parser = createParser(warnings);
+			assert.deepEqual(parser.parse('--no-colorize --debug-level debug'), {color: false, logLevel: 'debug'});
+			assert.deepEqual(warnings, [{
+				message:	'Flag \'--no-colorize\' is deprecated, use \'--color\' instead',
+				details:	{code: 'DEPRECATED_FLAG', flag: 'color', alias: '--no-colorize'}
+			}, {
+				message:	'Flag \'--debug-level\' is deprecated, it will be removed in 3.0',
+				details:	{code: 'DEPRECATED_FLAG', flag: 'logLevel', alias: '--debug-level'}
+			}]);
+		});
+
+		it('Should report deprecated flags of subcommands to the handler of the root parser', () => {
+			const warnings = [];
+			const parser = dArg({}, {onWarning: message => warnings.push(message)});
+			parser.addCommand('deploy', 'Deploy', {
+				target: {
+					type:		'string',
+					deprecated:	'env'
+				}
+			});
+			assert.deepEqual(parser.parse('deploy --env prod'), {target: 'prod', __command__: ['deploy']});
+			assert.deepEqual(warnings, ['Flag \'--env\' is deprecated, use \'--target\' instead']);
+		});
+
+		it('Should write warnings to stderr by default', () => {
+			const write = process.stderr.write;
+			const written = [];
+			process.stderr.write = str => written.push(str);
+			try {
+				dArg({
+					color: {
+						type:		'boolean',
+						deprecated:	'colorize'
+					}
+				}).parse('--colorize');
+			} finally {
+				process.stderr.write = write;
+			}
+			assert.deepEqual(written, ['Warning: Flag \'--colorize\' is deprecated, use \'--color\' instead\n']);
+		});
+
+		it('Should list aliases but hide deprecated names in the help', () => {
+			const parser = createParser([]);
+			const info = parser.getFlagHelpInfo('color');
+			assert.deepEqual(info.aliases, ['[no-]colour']);
+			const help = parser.getHelpString();
+			assert(/ --\[no-\]color, --\[no-\]colour\n/.test(help));
+			assert(/ -l, --log-level, --verbosity, --log\n/.test(help));
+			assert.equal(help.indexOf('colorize'), -1);
+			assert.equal(help.indexOf('debug-level'), -1);
+			assert(parser.getMarkdown('prog').indexOf('| `-l`, `--log-level`, `--verbosity`, `--log` |') > -1);
+		});
+
+		it('Should complete and suggest aliases but not deprecated names', () => {
+			const parser = createParser([]);
+			const script = parser.getCompletionScript('bash', 'prog');
+			assert(script.indexOf('--no-colour') > -1);
+			assert.equal(script.indexOf('colorize'), -1);
+			assert.throws(
+				() => parser.parse('--verbosty a'),
+				testErrorMessage(/Unknown flag 'verbosty', did you mean '--verbosity'\?/),
+				'Did not throw error'
+			);
+		});
+
+	});
+
+	describe('path types', () => {
+
+		function dPath(type, options, parserOptions) {
+			return dArg({
+				target: {
+					type,
+					path:	options
+				}
+			}, parserOptions);
+		}
+
+		const testDir = path.resolve('test');
+
+		it('Should resolve paths against the working directory or the base directory', () => {
+			assert.equal(dPath('path').parse('--target test/missing.txt').target, path.join(testDir, 'missing.txt'));
+			assert.equal(dPath('path', {baseDir: testDir}).parse('--target rc').target, path.join(testDir, 'rc'));
+			assert.equal(dPath('directory').parse('--target test').target, testDir);
+			assert.equal(dPath('outputFile').parse('--target test/out.txt').target, path.join(testDir, 'out.txt'));
+			assert.equal(
+				dPath('file', {baseDir: testDir}).parse('--target simple_file.txt').target,
+				'hello, world!'
+			);
+		});
+
+		it('Should check whether the path exists', () => {
+			const error = catchError(() => dPath('file').parse('--target test/simple_file.jsn'));
+			assert.equal(error.code, 'INVALID_PATH');
+			assert.equal(error.flag, 'target');
+			assert.equal(error.message, 'Invalid path for \'target\', \'test/simple_file.jsn\' does not exist');
+			[
+				['path', {mustExist: true}, 'test/missing.txt', /'test\/missing.txt' does not exist/],
+				['path', {mustNotExist: true}, 'test/rc', /'test\/rc' already exists/],
+				['outputFile', {mustNotExist: true}, 'test/simple_file.txt', /'test\/simple_file.txt' already exists/],
+				['directory', {}, 'test/missing', /'test\/missing' does not exist/],
+				['directory', {}, 'test/simple_file.txt', /'test\/simple_file.txt' is not a directory/],
+				['file', {}, 'test', /'test' is a directory/],
+				['outputFile', {}, 'test', /'test' is a directory/],
+				['outputFile', {}, 'test/missing/out.txt', /cannot be created, its directory does not exist/]
+			].forEach(test => assert.throws(
+				() => dPath(test[0], test[1]).parse('--target ' + test[2]),
+				testErrorMessage(test[3]),
+				'Did not throw error for ' + test[2]
+			));
+		});
+
+		it('Should check whether the path is readable and writable', () => {
+			assert.equal(
+				dPath('path', {readable: true, writable: true}).parse('--target test/rc').target,
+				path.join(testDir, 'rc')
+			);
+			assert.equal(
+				dPath('path', {writable: true}).parse('--target test/new.txt').target,
+				path.join(testDir, 'new.txt')
+			);
+		});
+
+		it('Should not follow symlinks when expanding **', () => {
+			const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'argument-parser-')));
+			fs.mkdirSync(path.join(dir, 'src'));
+			fs.writeFileSync(path.join(dir, 'src', 'a.js'), '');
+			fs.symlinkSync(dir, path.join(dir, 'src', 'loop'));
+			try {
+				assert.deepEqual(
+					dPath('path', {glob: true, baseDir: dir}).parse('--target "**/*.js"').target,
+					[path.join(dir, 'src', 'a.js')]
+				);
+				assert.deepEqual(
+					dPath('path', {glob: true, baseDir: dir}).parse('--target "src/loop/src/*.js"').target,
+					[path.join(dir, 'src', 'loop', 'src', 'a.js')]
+				);
+			} finally {
+				removeDir(dir);
+			}
+		});
+
+		it('Should expand globs into arrays', () => {
+			const configs = ['config_file.json', 'config_invalid.json', 'config_nested.json']
+				.map(name => path.join(testDir, name));
+			assert.deepEqual(dPath('path', {glob: true}).parse('--target test/config_*.json').target, configs);
+			assert.deepEqual(
+				dPath('path', {glob: true, baseDir: 'test'}).parse('--target "config_{file,nested}.[jJ]son"').target,
+				[configs[0], configs[2]]
+			);
+			const rcFiles = ['rc/.testrc', 'rc/home/.testrc', 'rc/project/.testrc']
+				.map(name => path.join(testDir, name));
+			assert.deepEqual(dPath('path', {glob: true}).parse('--target test/rc/**/.?estrc').target, rcFiles);
+			assert.deepEqual(dPath('path', {glob: true}).parse('--target test/rc/*/.[!x]estrc*').target,
+				rcFiles.slice(1));
+			assert.deepEqual(dPath('path', {glob: true}).parse('--target test/rc/*').target,
+				[path.join(testDir, 'rc/home'), path.join(testDir, 'rc/project')]);
+			assert.deepEqual(dPath('path', {glob: true}).parse('--target test/simple_file.txt').target,
+				[path.join(testDir, 'simple_file.txt')]);
+			assert.throws(
+				() => dPath('path', {glob: true}).parse('--target test/*.yaml'),
+				testErrorMessage(/Invalid path for 'target', 'test\/\*.yaml' does not match any files/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dPath('path', {glob: true}).parse('--target test/missing.yaml'),
+				testErrorMessage(/'test\/missing.yaml' does not exist/),
+				'Did not throw error'
+			);
+			const parser = dArg({
+				inputs: {
+					type:		'path',
+					path:		{glob: true},
+					multiple:	true
+				},
+				list: {
+					type:		'array',
+					subType:	'path',
+					path:		{glob: true},
+					unique:		true
+				}
+			});
+			const values = parser.parse('--inputs test/config_f*.json --inputs test/*.txt --list test/*.txt,test/rc');
+			assert.deepEqual(values.inputs, [configs[0], path.join(testDir, 'simple_file.txt')]);
+			assert.deepEqual(values.list, [path.join(testDir, 'simple_file.txt'), path.join(testDir, 'rc')]);
+		});
+
+		it('Should use stdin and stdout for -', () => {
+			assert.equal(dPath('outputFile').parse('--target -').target, process.stdout);
+			assert.equal(dArg({
+				target: {
+					type:	'file',
+					file:	{stream: true}
+				}
+			}).parse('--target -').target, process.stdin);
+			const script = 'const A = require("./index");' +
+				'const p = new A("", {input: {type: "file", file: {json: true}}});' +
+				'process.stdout.write(String(p.parse("--input -").input.hello));';
+			const result = childProcess.spawnSync(process.execPath, ['-e', script], {input: '{"hello": "stdin"}'});
+			assert.equal(String(result.stdout), 'stdin');
+		});
+
+		it('Should validate the path options', () => {
+			[
+				['string', {}, /Cannot use 'path' when type is 'string'/],
+				['path', 'x', /Invalid argument to 'path', must be an object/],
+				['path', {mustExist: 'yes'}, /Invalid argument to 'path.mustExist', must be a boolean/],
+				['path', {baseDir: 1}, /Invalid argument to 'path.baseDir', must be a non-empty string/],
+				['path', {mustExist: true, mustNotExist: true}, /Cannot use 'path.mustExist' together with/],
+				['file', {glob: true}, /Cannot use 'path.glob' when type is 'file'/]
+			].forEach(test => assert.throws(
+				() => dPath(test[0], test[1]),
+				testErrorMessage(test[2]),
+				'Did not throw error'
+			));
+		});
+
+		it('Should describe and complete the path types', () => {
+			assert.equal(dPath('path').getFlagHelpInfo('target').type, 'path');
+			assert.equal(dPath('path', {glob: true}).getFlagHelpInfo('target').type, 'path pattern');
+			assert.equal(dPath('directory').getFlagHelpInfo('target').type, 'directory');
+			assert.equal(dPath('outputFile').getFlagHelpInfo('target').type, 'output file');
+			assert(/-l target -r -F/.test(dPath('directory').getCompletionScript('fish', 'prog')));
+			assert.equal(dPath('outputFile').toJSONSchema().properties.target['x-type'], 'outputFile');
+		});
+
+	});
+
+	describe('array constraints', () => {
+
+		function dArray(config, options) {
+			return dArg({
+				list: _.assign({
+					type:		'array'
+				}, config)
+			}, options);
+		}
+
+		it('Should check the number of items', () => {
+			const parser = dArray({minItems: 2, maxItems: 3});
+			assert.deepEqual(parser.parse('--list a,b').list, ['a', 'b']);
+			const error = catchError(() => parser.parse('--list a'));
+			assert.equal(error.code, 'INVALID_LENGTH');
+			assert.deepEqual(error.expected, {minItems: 2, maxItems: 3});
+			assert.equal(error.message, 'Argument for \'list\' must have at least 2 items, got 1');
+			assert.throws(
+				() => parser.parse('--list a,b,c,d'),
+				testErrorMessage(/Argument for 'list' must have at most 3 items, got 4/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should check the items of repeatable flags once all of them are collected', () => {
+			const parser = dArray({minItems: 2, maxItems: 3, multiple: true});
+			assert.deepEqual(parser.parse('--list a --list b').list, ['a', 'b']);
+			assert.throws(
+				() => parser.parse('--list a,b --list c,d'),
+				testErrorMessage(/Argument for 'list' must have at most 3 items, got 4/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArray({minItems: 2, multiple: true}, {collectErrors: true}).parse('--list a'),
+				testErrorMessage(/Argument for 'list' must have at least 2 items, got 1/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should reject duplicate items if they must be unique', () => {
+			const parser = dArray({unique: true, subType: 'integer'});
+			assert.deepEqual(parser.parse('--list 1,2').list, [1, 2]);
+			const error = catchError(() => parser.parse('--list 1,2,01'));
+			assert.equal(error.code, 'DUPLICATE_VALUE');
+			assert.equal(error.value, 1);
+			assert.equal(error.message, 'Duplicate value \'1\' for \'list\', the items must be unique');
+			assert.deepEqual(dArray({unique: false}).parse('--list a,a').list, ['a', 'a']);
+		});
+
+		it('Should check every item against the enum', () => {
+			const parser = dArray({enum: ['red', 'green', 'blue']});
+			assert.deepEqual(parser.parse('--list red,blue').list, ['red', 'blue']);
+			const error = catchError(() => parser.parse('--list red,gren'));
+			assert.equal(error.code, 'INVALID_ENUM');
+			assert.equal(error.value, 'gren');
+			assert.equal(error.message,
+				'Invalid enum value for \'list\' must be in [red,green,blue], did you mean \'green\'?');
+			assert.throws(
+				() => dArray({enum: ['a'], subType: 'integer'}),
+				testErrorMessage(/Flag must not have any validation attributes if it is an enum/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should split at the separator and keep separators inside quotes', () => {
+			assert.deepEqual(dArray({separator: ':'}).parse('--list \'/usr/bin:/bin:"/opt/a:b"\'').list,
+				['/usr/bin', '/bin', '/opt/a:b']);
+			assert.deepEqual(dArray().parseArgv(['--list', 'a,"b,c",\'d,e\'']).list, ['a', 'b,c', 'd,e']);
+			assert.deepEqual(dArray({separator: '::'}).parse('--list a::b:c').list, ['a', 'b:c']);
+			assert.deepEqual(dArray({separator: ':'}, {env: {LIST: 'x:y'}}).parse('').list, undefined);
+			const env = dArg({
+				path: {
+					type:		'array',
+					separator:	':',
+					env:		'SEARCH_PATH'
+				}
+			}, {env: {SEARCH_PATH: '/a:/b'}});
+			assert.deepEqual(env.parse('').path, ['/a', '/b']);
+		});
+
+		it('Should allow quoted commas in map values', () => {
+			const parser = dArg({
+				label: {
+					type:	'map'
+				}
+			});
+			assert.deepEqual(parser.parse('--label \'a="x,y",b=z\'').label, {a: 'x,y', b: 'z'});
+		});
+
+		it('Should validate the constraints', () => {
+			[
+				[{type: 'string', unique: true}, /Cannot use 'unique' when type is 'string'/],
+				[{type: 'integer', minItems: 1}, /Cannot use 'minItems' when type is 'integer'/],
+				[{type: 'map', separator: ';'}, /Cannot use 'separator' when type is 'map'/],
+				[{type: 'array', minItems: -1}, /Invalid argument to 'minItems', must be a non-negative integer/],
+				[{type: 'array', maxItems: 1.5}, /Invalid argument to 'maxItems', must be a non-negative integer/],
+				[{type: 'array', minItems: 3, maxItems: 2}, /Invalid argument to 'minItems', must not be greater/],
+				[{type: 'array', unique: 'yes'}, /Invalid argument to 'unique', must be a boolean/],
+				[{type: 'array', separator: ''}, /Invalid argument to 'separator', must be a non-empty string/],
+				[{type: 'array', separator: '"'}, /Invalid argument to 'separator', must be a non-empty string/]
+			].forEach(test => assert.throws(
+				() => dArg({list: test[0]}),
+				testErrorMessage(test[1]),
+				'Did not throw error'
+			));
+		});
+
+		it('Should describe the constraints in the help', () => {
+			assert.equal(dArray({minItems: 1, maxItems: 3, unique: true}).getFlagHelpInfo('list').type,
+				'array of string, 1 to 3 items, unique');
+			assert.equal(dArray({minItems: 1}).getFlagHelpInfo('list').type, 'array of string, at least 1 item');
+			assert.equal(dArray({maxItems: 2, separator: ':'}).getFlagHelpInfo('list').type,
+				'array of string, at most 2 items, separated by \':\'');
+			assert.equal(dArray({enum: ['a', 'b'], multiple: true}).getFlagHelpInfo('list').type,
+				'array of enum (a,b), repeatable');
+			assert(/--list {2}\[array of string, at least 2 items\]/.test(dArray({minItems: 2}).getHelpString('prog')));
+		});
+
+		it('Should export the constraints to JSON Schema', () => {
+			const schema = dArray({minItems: 1, maxItems: 3, unique: true, separator: ':', enum: ['a', 'b']})
+				.toJSONSchema();
+			assert.deepEqual(schema.properties.list, {
+				type:			'array',
+				items:			{enum: ['a', 'b']},
+				minItems:		1,
+				maxItems:		3,
+				uniqueItems:	true,
+				'x-separator':	':'
+			});
+			const parser = ArgumentParser.fromJSONSchema(schema);
+			assert.equal(parser.getFlagHelpInfo('list').type,
+				'array of enum (a,b), 1 to 3 items, unique, separated by \':\'');
+			assert.throws(
+				() => parser.parse('--list a:a'),
+				testErrorMessage(/Duplicate value 'a' for 'list'/),
+				'Did not throw error'
+			);
+		});
+
+	});
+
+	describe('maps and nested flags', () => {
+
+		function dMap(options) {
+			return dArg({
+				label: {
+					type:		'map'
+				},
+				limit: {
+					type:		'map',
+					subType:	'integer',
+					max:		10,
+					default:	{cpu: 1}
+				}
+			}, options);
+		}
+
+		function dNested(options) {
+			return dArg({
+				server: {
+					section:		'Server',
+					properties:	{
+						port: {
+							type:		'port',
+							default:	80
+						},
+						host: {
+							type:			'string',
+							description:	'The host name'
+						},
+						tls: {
+							properties: {
+								enabled: {
+									type:		'boolean',
+									requires:	'server.tls.cert'
+								},
+								cert: {
+									type:		'string'
+								}
+							}
+						}
+					}
+				},
+				verbose: {
+					type:		'boolean'
+				}
+			}, options);
+		}
+
+		it('Should collect key value pairs into an object', () => {
+			assert.deepEqual(dMap().parse('--label env=prod --label team=core,query="a=b"'), {
+				label:	{env: 'prod', team: 'core', query: 'a=b'},
+				limit:	{cpu: 1}
+			});
+			assert.deepEqual(dMap().parse('--limit mem=4 --limit=cpu=2').limit, {mem: 4, cpu: 2});
+		});
+
+		it('Should validate the keys and the values', () => {
+			const parser = dMap();
+			const error = catchError(() => parser.parse('--label env'));
+			assert.equal(error.code, 'INVALID_TYPE');
+			assert.equal(error.message, 'Invalid map value for \'label\', \'env\' must be KEY=VALUE');
+			assert.throws(
+				() => parser.parse('--label =prod'),
+				testErrorMessage(/Invalid map value for 'label', '=prod' must be KEY=VALUE/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--limit mem=11'),
+				testErrorMessage(/Argument for 'limit' must be less or equal to 10/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--limit mem=many'),
+				testErrorMessage(/Could not parse number from argument for 'limit'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					label: {
+						type:		'map',
+						multiple:	true
+					}
+				}),
+				testErrorMessage(/Cannot use 'multiple' when type is 'map'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					label: {
+						type:		'map',
+						subType:	'array'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'subType', 'array' specified/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should read maps from environment variables and config files', () => {
+			assert.deepEqual(dMap({env: {LABELS: 'a=1,b=2'}, envPrefix: 'X'}).parse('').label, undefined);
+			const parser = dArg({
+				label: {
+					type:	'map',
+					env:	'LABELS'
+				}
+			}, {env: {LABELS: 'a=1,b=2'}});
+			assert.deepEqual(parser.parse('').label, {a: '1', b: '2'});
+			assert.deepEqual(dMap({configFile: {}}).parse('--config test/config_nested.json').label, {env: 'prod'});
+		});
+
+		it('Should build nested objects from dotted flags', () => {
+			assert.deepEqual(dNested().parse('--server.host example.com --server.tls.enabled --server.tls.cert c'), {
+				server: {
+					host:	'example.com',
+					port:	80,
+					tls:	{
+						enabled:	true,
+						cert:		'c'
+					}
+				}
+			});
+			assert.deepEqual(dNested().parse('--verbose --no-server.tls.enabled'), {
+				verbose:	true,
+				server:		{
+					port:	80,
+					tls:	{
+						enabled:	false
+					}
+				}
+			});
+		});
+
+		it('Should validate nested flags by their own config', () => {
+			const parser = dNested();
+			assert.throws(
+				() => parser.parse('--server.port 70000'),
+				testErrorMessage(/Invalid port value for 'server.port'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--server.tls.enabled'),
+				testErrorMessage(/Flag 'server.tls.enabled' requires 'server.tls.cert'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--server.hots a'),
+				testErrorMessage(/Unknown flag 'server.hots', did you mean '--server.host'\?/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					server: {
+						properties:	{}
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'properties' of flag server, must be an object of flag configs/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					server: {
+						properties:	{
+							'a b': {}
+						}
+					}
+				}),
+				testErrorMessage(/Invalid flag server.a b/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should read nested flags from environment variables and nested config file objects', () => {
+			const parser = dNested({
+				envPrefix:	'APP',
+				env:		{APP_SERVER_HOST: 'env.example.com'},
+				configFile:	{}
+			});
+			assert.deepEqual(parser.parse('--config test/config_nested.json --server.tls.cert c').server, {
+				host:	'env.example.com',
+				port:	9000,
+				tls:	{
+					enabled:	true,
+					cert:		'c'
+				}
+			});
+		});
+
+		it('Should pass the nested values to the validate function', () => {
+			let received;
+			dNested({validate: values => {
+				received = values;
+			}}).parse('--server.host a');
+			assert.deepEqual(received, {server: {host: 'a', port: 80}});
+		});
+
+		it('Should inherit the section and global attributes', () => {
+			const parser = dArg({
+				db: {
+					global:		true,
+					properties:	{
+						url: {
+							type:	'url'
+						}
+					}
+				}
+			});
+			parser.addCommand('migrate', 'Migrate', {});
+			assert.equal(parser.parse('migrate --db.url http://db/x').db.url.host, 'db');
+			const help = dNested().getHelpString('prog');
+			assert(/\nServer:\n {6}--server.host +The host name \[string\]\n/.test(help));
+			assert(/\n {6}--\[no-\]server.tls.enabled +\[requires: --server.tls.cert\]/.test(help));
+			assert(dMap().getHelpString('prog').indexOf('--limit  [map of integer<=10] [default: cpu=1]') > -1);
+			assert.equal(dMap().getFlagHelpInfo('limit').type, 'map of integer<=10');
+		});
+
+		it('Should export maps and nested flags to JSON Schema', () => {
+			const schema = dNested().toJSONSchema();
+			assert.deepEqual(schema.properties.server, {
+				type:					'object',
+				properties:				{
+					port:	{type: 'integer', 'x-type': 'port', default: 80},
+					host:	{type: 'string', description: 'The host name'},
+					tls:	{
+						type:					'object',
+						properties:				{
+							enabled:	{type: 'boolean'},
+							cert:		{type: 'string'}
+						},
+						additionalProperties:	false
+					}
+				},
+				additionalProperties:	false
+			});
+			assert.deepEqual(dMap().toJSONSchema().properties.limit, {
+				type:					'object',
+				additionalProperties:	{type: 'integer', maximum: 10},
+				default:				{cpu: 1}
+			});
+			const parser = ArgumentParser.fromJSONSchema(schema);
+			assert.deepEqual(_.keys(parser.config).sort(),
+				['help', 'server.host', 'server.port', 'server.tls.cert', 'server.tls.enabled', 'verbose']);
+			assert.deepEqual(ArgumentParser.fromJSONSchema(dMap().toJSONSchema()).parse('--limit a=1').limit, {a: 1});
+		});
+
+	});
+
+	describe('flag relationships', () => {
+
+		function dRelations(options) {
+			return dArg({
+				json: {
+					type:		'boolean'
+				},
+				table: {
+					type:		'boolean'
+				},
+				yaml: {
+					type:		'boolean'
+				},
+				key: {
+					type:		'string',
+					requires:	'cert'
+				},
+				cert: {
+					type:		'string'
+				},
+				quiet: {
+					type:		'boolean',
+					conflicts:	['verbose'],
+					implies:	{logLevel: 'error'}
+				},
+				verbose: {
+					type:		'boolean',
+					implies:	{logLevel: 'debug'}
+				},
+				logLevel: {
+					enum:		['error', 'info', 'debug'],
+					default:	'info'
+				}
+			}, options);
+		}
+
+		it('Should throw for relations to unknown flags', () => {
+			assert.throws(
+				() => dArg({
+					a: {
+						conflicts:	'b'
+					}
+				}),
+				testErrorMessage(/Invalid relation of flag a, unknown flag b/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					a: {
+						requires:	'a'
+					}
+				}),
+				testErrorMessage(/Invalid relation of flag a, unknown flag a/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					a: {
+						implies:	'b'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'implies'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should throw when a global flag refers to a flag that is not global', () => {
+			assert.throws(
+				() => dArg({
+					a: {
+						type:		'boolean',
+						global:		true,
+						conflicts:	'b'
+					},
+					b: {
+						type:		'boolean'
+					}
+				}),
+				testErrorMessage(/Invalid relation of global flag a, b is not global/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should throw for invalid exclusive groups', () => {
+			assert.throws(
+				() => dRelations({exclusive: {output: ['json']}}),
+				testErrorMessage(/Invalid exclusive group output, must list at least two flags/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dRelations({exclusive: {output: {flags: ['json', 'xml']}}}),
+				testErrorMessage(/Invalid exclusive group output, unknown flag xml/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should reject conflicting flags once', () => {
+			const error = catchError(() => dRelations().parse('--quiet --verbose'));
+			assert.equal(error.code, 'CONFLICTING_FLAGS');
+			assert.equal(error.message, 'Flag \'quiet\' cannot be used together with \'verbose\'');
+			assert.equal(error.flag, 'quiet');
+			assert.equal(error.value, 'verbose');
+
+			const errors = catchError(() => dRelations({collectErrors: true}).parse('--quiet --verbose')).errors;
+			assert.equal(errors, undefined);
+		});
+
+		it('Should not treat false booleans and defaults as set', () => {
+			assert.deepEqual(dRelations().parse('--quiet --no-verbose'), {
+				quiet:		true,
+				verbose:	false,
+				logLevel:	'error'
+			});
+		});
+
+		it('Should reject flags whose required flags are missing', () => {
+			const error = catchError(() => dRelations().parse('--key a.pem'));
+			assert.equal(error.code, 'MISSING_DEPENDENCY');
+			assert.equal(error.message, 'Flag \'key\' requires \'cert\' to be set');
+			assert.equal(error.expected, 'cert');
+			assert.deepEqual(dRelations().parse('--key a.pem --cert b.pem'), {
+				key:		'a.pem',
+				cert:		'b.pem',
+				logLevel:	'info'
+			});
+		});
+
+		it('Should set implied values unless they were set explicitly', () => {
+			assert.equal(dRelations().parse('--verbose').logLevel, 'debug');
+			assert.equal(dRelations().parse('--verbose --log-level info').logLevel, 'info');
+			assert.equal(dRelations({env: {LOG_LEVEL: 'error'}}).parse('--verbose').logLevel, 'debug');
+		});
+
+		it('Should apply implies of a parent to global flags before the subcommand', () => {
+			const parser = dArg({
+				debug: {
+					type:		'boolean',
+					implies:	{level: 'debug'}
+				},
+				level: {
+					type:		'string',
+					global:		true,
+					default:	'info'
+				}
+			});
+			parser.addCommand('deploy', 'Deploy', {});
+			assert.equal(parser.parse('--debug deploy').level, 'debug');
+			assert.equal(parser.parse('--debug deploy --level warn').level, 'warn');
+			assert.equal(parser.parse('deploy').level, 'info');
+		});
+
+		it('Should check the relations of implied flags', () => {
+			function dImplied(implies) {
+				return dArg({
+					ci: {
+						type:		'boolean',
+						implies
+					},
+					quiet: {
+						type:		'boolean',
+						conflicts:	'verbose'
+					},
+					verbose: {
+						type:		'boolean'
+					},
+					key: {
+						type:		'string',
+						requires:	'cert'
+					},
+					cert: {
+						type:		'string'
+					}
+				});
+			}
+			assert.throws(
+				() => dImplied({quiet: true}).parse('--ci --verbose'),
+				testErrorMessage(/Flag 'quiet' cannot be used together with 'verbose'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dImplied({key: 'k'}).parse('--ci'),
+				testErrorMessage(/Flag 'key' requires 'cert' to be set/),
+				'Did not throw error'
+			);
+			assert.deepEqual(dImplied({key: 'k'}).parse('--ci --cert c'), {ci: true, key: 'k', cert: 'c'});
+		});
+
+		it('Should count values from environment variables as set', () => {
+			const parser = dArg({
+				key: {
+					type:		'string',
+					requires:	'cert'
+				},
+				cert: {
+					type:		'string',
+					env:		'CERT'
+				}
+			}, {env: {CERT: 'b.pem'}});
+			assert.deepEqual(parser.parse('--key a.pem'), {key: 'a.pem', cert: 'b.pem'});
+		});
+
+		it('Should reject more than one flag of an exclusive group', () => {
+			const parser = dRelations({exclusive: {output: ['json', 'table', 'yaml']}});
+			const error = catchError(() => parser.parse('--json --yaml'));
+			assert.equal(error.code, 'CONFLICTING_FLAGS');
+			assert(/^Only one of 'json', 'table', 'yaml' can be set, got 'json' and 'yaml'$/.test(error.message));
+			assert.deepEqual(error.expected, ['json', 'table', 'yaml']);
+		});
+
+		it('Should require exactly one flag of required exclusive groups', () => {
+			const parser = dRelations({exclusive: {output: {flags: ['json', 'table'], required: true}}});
+			const error = catchError(() => parser.parse(''));
+			assert.equal(error.code, 'MISSING_REQUIRED');
+			assert.equal(error.flag, 'output');
+			assert.equal(error.message, 'One of \'json\', \'table\' is required but none was set');
+			assert.equal(parser.parse('--table').table, true);
+		});
+
+		it('Should check the relations of global flags in subcommands', () => {
+			const parser = dArg({
+				json: {
+					type:		'boolean',
+					global:		true,
+					conflicts:	'table'
+				},
+				table: {
+					type:		'boolean',
+					global:		true
+				}
+			});
+			parser.addCommand('list', 'List');
+			assert.throws(
+				() => parser.parse('--json list --table'),
+				testErrorMessage(/Flag 'json' cannot be used together with 'table'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should show the relations in the help', () => {
+			const parser = dRelations({exclusive: {output: {flags: ['json', 'table'], required: true}}});
+			const help = parser.getHelpString();
+			assert(/ --\[no-\]json +\[conflicts: --table\] \[required: one of --json, --table\]/.test(help));
+			assert(/ --key +\[string\] \[requires: --cert\]/.test(help));
+			assert(/ --\[no-\]quiet +\[conflicts: --verbose\] \[implies: --log-level=error\]/.test(help));
+			assert(parser.getMarkdown('app').indexOf('| `--key` | string |  |  |  | [requires: --cert] |') > -1);
+		});
+
+	});
+
+	describe('conditional requirements and validation', () => {
+
+		function dConditional(options) {
+			return dArg({
+				auth: {
+					enum:		['none', 'basic', 'token'],
+					default:	'none'
+				},
+				user: {
+					type:		'string',
+					requiredIf:	{auth: ['basic', 'token']}
+				},
+				password: {
+					type:		'string',
+					requiredIf:	{auth: 'basic'}
+				},
+				anonymous: {
+					type:		'boolean'
+				},
+				email: {
+					type:		'string',
+					requiredUnless:	{anonymous: true}
+				},
+				start: {
+					type:		'integer',
+					default:	0
+				},
+				end: {
+					type:		'integer',
+					requiredIf:	values => values.start > 0
+				}
+			}, options);
+		}
+
+		it('Should throw for invalid conditions', () => {
+			assert.throws(
+				() => dArg({
+					a: {
+						requiredIf:	'b'
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'requiredIf'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					a: {
+						requiredUnless:	{b: true}
+					}
+				}),
+				testErrorMessage(/Invalid relation of flag a, unknown flag b/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({
+					a: {
+						required:	true,
+						requiredIf:	{b: true}
+					},
+					b: {}
+				}),
+				testErrorMessage(/Flag cannot use 'requiredIf' and be required or have a default/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => dArg({}, {validate: true}),
+				testErrorMessage(/Invalid argument to 'validate'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should require flags if the condition matches, including defaults', () => {
+			assert.deepEqual(dConditional().parse('--anonymous'), {auth: 'none', anonymous: true, start: 0});
+
+			let error = catchError(() => dConditional().parse('--anonymous --auth token'));
+			assert.equal(error.code, 'MISSING_REQUIRED');
+			assert.equal(error.flag, 'user');
+			assert(/^Flag 'user' is required if 'auth' is one of 'basic', 'token' but/.test(error.message));
+
+			error = catchError(() => dConditional().parse('--anonymous --auth basic --user me'));
+			assert.equal(error.message, 'Flag \'password\' is required if \'auth\' is \'basic\' but was not set');
+
+			error = catchError(() => dConditional().parse('--anonymous --start 5'));
+			assert.equal(error.message, 'Flag \'end\' is required but was not set');
+			assert.equal(dConditional().parse('--anonymous --start 5 --end 6').end, 6);
+		});
+
+		it('Should require flags unless the condition matches', () => {
+			const error = catchError(() => dConditional().parse(''));
+			assert.equal(error.flag, 'email');
+			assert.equal(error.message, 'Flag \'email\' is required unless \'anonymous\' is set but was not set');
+			assert.equal(dConditional().parse('--email a@b.c').email, 'a@b.c');
+		});
+
+		it('Should ask for conditionally required flags', () => {
+			const input = new stream.PassThrough();
+			input.end('a@b.c\n');
+			return dConditional({prompt: {input, output: new stream.PassThrough()}}).parseAsync('')
+			.then(values => assert.equal(values.email, 'a@b.c'));
+		});
+
+		it('Should run the validate function with all resolved values', () => {
+			let validated;
+			dConditional({validate: values => {
+				validated = values;
+			}}).parse('--anonymous');
+			assert.deepEqual(validated, {auth: 'none', anonymous: true, start: 0});
+		});
+
+		it('Should attribute errors of the validate function to flags', () => {
+			const parser = dConditional({validate: values => {
+				if (values.end < values.start) {
+					const error = new Error('must not be before start');
+					error.flag = 'end';
+					throw error;
+				}
+			}});
+			const error = catchError(() => parser.parse('--anonymous --start 5 --end 1'));
+			assert(error instanceof ArgumentParser.ArgumentParserError);
+			assert.equal(error.code, 'VALIDATION_FAILED');
+			assert.equal(error.flag, 'end');
+			assert.equal(error.value, 1);
+			assert.equal(error.message, 'Validator failed for argument for \'end\', \'must not be before start\'');
+		});
+
+		it('Should report all errors returned by the validate function', () => {
+			const parser = dConditional({
+				collectErrors: true,
+				validate: () => ({user: 'unknown user', password: 'wrong password'})
+			});
+			const error = catchError(() => parser.parse('--anonymous --auth basic --user me --password secret'));
+			assert.equal(error.code, 'MULTIPLE_ERRORS');
+			assert.deepEqual(_.map(error.errors, 'flag'), ['user', 'password']);
+			assert.deepEqual(_.map(error.errors, 'value'), ['me', 'secret']);
+		});
+
+		it('Should report errors of the validate function without a flag', () => {
+			let error = catchError(() => dConditional({validate: () => {
+				throw new Error('nope');
+			}}).parse('--anonymous'));
+			assert.equal(error.code, 'VALIDATION_FAILED');
+			assert.equal(error.flag, undefined);
+			assert.equal(error.message, 'Validation failed, \'nope\'');
+
+			const thrown = new ArgumentParser.ArgumentParserError('custom', {code: 'CUSTOM'});
+			error = catchError(() => dConditional({validate: () => {
+				throw thrown;
+			}}).parse('--anonymous'));
+			assert.equal(error, thrown);
+		});
+
+		it('Should not validate when parsing failed already', () => {
+			let called = false;
+			const parser = dConditional({
+				collectErrors: true,
+				validate: () => {
+					called = true;
+				}
+			});
+			assert.throws(() => parser.parse('--start x'));
+			assert.equal(called, false);
+		});
+
+		it('Should run the validate functions of subcommands', () => {
+			const parser = dArg({}, {validate: () => ({})});
+			parser.addCommand('deploy', 'Deploy', {
+				env: {
+					type:		'string'
+				}
+			}, {
+				validate: values => ({env: values.env === 'prod' ? 'not allowed' : undefined})
+			});
+			assert.deepEqual(parser.parse('deploy --env dev'), {env: 'dev', __command__: ['deploy']});
+			assert.throws(
+				() => parser.parse('deploy --env prod'),
+				testErrorMessage(/Validator failed for argument for 'env', 'not allowed'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should show the conditions in the help', () => {
+			const help = dConditional().getHelpString();
+			assert(/ --password +\[string\] \[required if 'auth' is 'basic'\]/.test(help));
+			assert(/ --email +\[string\] \[required unless 'anonymous' is set\]/.test(help));
+			assert(/ --end +\[integer\] \[conditionally required\]/.test(help));
+		});
+
+	});
+
+	describe('#getHelpString()', () => {
+
+		it('Should fall back to the name of the executable without a script', () => {
+			const script = process.argv[1];
+			process.argv[1] = undefined;
+			try {
+				const usage = dArg({}).getHelpString().split('\n')[0];
+				assert.equal(usage, `Usage: ${path.basename(process.execPath)} [options]`);
+			} finally {
+				process.argv[1] = script;
+			}
+		});
+
+		it('Correctly prints a simple help info', () => {
+
+			assert.equal(
+				dArg({
+					test: {
+						type:	'string',
+						regex:	/hurp/,
+						short:  't'
+					},
+					test2: {
+						enum: ['a', 'b', 'c']
+					},
+					test3: {
+						type: 'file'
+					},
+					test4: {
+						type:		'number',
+						min:		1,
+						max:		5,
+						default:	3
+					},
+					test5: {
+						type:		'array',
+						subType:	'string'
+					}
+				}).getHelpString('test-program'),
+				argumentTestString
+			);
+		});
+
+		function dHelp(options) {
+			return dArg({
+				zebra: {
+					type:			'string',
+					description:	'Sorted after the other flags although it is defined first'
+				},
+				apple: {
+					type:			'boolean',
+					short:			'a',
+					section:		'Fruit'
+				},
+				banana: {
+					type:			'integer',
+					description:	'Listed in the fruit section',
+					section:		'Fruit',
+					default:		3
+				},
+				internal: {
+					type:			'boolean',
+					hidden:			true
+				},
+				description: {
+					type:			'string',
+					description:	'First line\nSecond line'
+				}
+			}, _.assign({
+				examples:	['prog --zebra stripes', {command: 'prog -a', description: 'Eat an apple'}],
+				epilog:		'Report bugs on GitHub.'
+			}, options));
+		}
+
+		it('Should group, sort and wrap the flags and list examples and the epilog', () => {
+			assert.equal(dHelp({help: {width: 60}}).getHelpString('prog'), [
+				'Usage: prog [options]',
+				'',
+				'test',
+				'',
+				'Options:',
+				'      --description  First line',
+				'                     Second line [string]',
+				'      --zebra        Sorted after the other flags although',
+				'                     it is defined first [string]',
+				'      --help         Show the help',
+				'',
+				'Fruit:',
+				'  -a, --[no-]apple',
+				'      --banana      Listed in the fruit section [integer]',
+				'                    [default: 3]',
+				'',
+				'Examples:',
+				'  prog --zebra stripes',
+				'  prog -a               Eat an apple',
+				'',
+				'Report bugs on GitHub.'
+			].join('\n'));
+		});
+
+		it('Should keep the order of the config if sorting is disabled', () => {
+			const help = dHelp({help: {sort: false}}).getHelpString('prog');
+			assert(/--zebra[^]*--description[^]*--help/.test(help));
+		});
+
+		it('Should put long flag names on a line of their own', () => {
+			const help = dArg({
+				aVeryLongFlagNameThatTakesUpALotOfSpace: {
+					type:			'string',
+					description:	'Description'
+				},
+				short: {
+					type:			'string'
+				}
+			}, {help: {width: 40}}).getHelpString('prog');
+			assert(help.indexOf([
+				'      --a-very-long-flag-name-that-takes-up-a-lot-of-space',
+				'                    Description [string]',
+				'      --short       [string]'
+			].join('\n')) > -1);
+		});
+
+		it('Should wrap to the width of the terminal', () => {
+			const columns = process.stdout.columns;
+			process.stdout.columns = 30;
+			try {
+				const help = dHelp().getHelpString('prog');
+				assert(help.split('\n').every(line => line.length <= 30));
+			} finally {
+				process.stdout.columns = columns;
+			}
+		});
+
+		it('Should hide hidden flags but accept them', () => {
+			const parser = dHelp();
+			assert.equal(parser.getHelpString('prog').indexOf('internal'), -1);
+			assert.equal(parser.getMarkdown('prog').indexOf('internal'), -1);
+			assert.equal(parser.getManPage('prog').indexOf('internal'), -1);
+			assert.equal(parser.getCompletionScript('bash', 'prog').indexOf('internal'), -1);
+			assert.equal(parser.parse('--internal').internal, true);
+		});
+
+		it('Should use colors if enabled', () => {
+			const help = dHelp({help: {colors: true}}).getHelpString('prog');
+			assert(help.indexOf('\u001b[1mOptions:\u001b[22m') > -1);
+			assert(help.indexOf('  \u001b[36m    --zebra\u001b[39m') > -1);
+			assert(help.indexOf('\u001b[2m[string]\u001b[22m') > -1);
+			assert.equal(dHelp().getHelpString('prog').indexOf('\u001b'), -1);
+		});
+
+		it('Should pass the sections to the formatter', () => {
+			let received;
+			const parser = dHelp({
+				help: {
+					width:		50,
+					formatter:	(sections, options, format) => {
+						received = {sections, options};
+						return format(sections.filter(section => section.name !== 'examples'), options);
+					}
+				}
+			});
+			const help = parser.getHelpString('prog');
+			assert.deepEqual(_.map(received.sections, 'name'),
+				['usage', 'description', 'options', 'section', 'examples', 'epilog']);
+			assert.deepEqual(received.options, {width: 50, colors: false});
+			assert.deepEqual(received.sections[3], {
+				name:	'section',
+				title:	'Fruit',
+				rows:	[{
+					term:			'-a, --[no-]apple',
+					description:	'',
+					annotations:	[]
+				}, {
+					term:			'    --banana',
+					description:	'Listed in the fruit section',
+					annotations:	['integer', 'default: 3']
+				}]
+			});
+			assert.equal(help.indexOf('Examples:'), -1);
+			assert(help.indexOf('Fruit:') > -1);
+		});
+
+		it('Should throw for invalid formatters', () => {
+			assert.throws(
+				() => dArg({}, {help: {formatter: 'table'}}),
+				testErrorMessage(/Invalid argument to 'help.formatter', must be a function/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should use the name of the script as program name and pass the help options to subcommands', () => {
+			const parser = dArg({}, {help: {colors: true}});
+			const command = parser.addCommand('deploy', 'Deploy the application', {});
+			const help = command.getHelpString();
+			assert(help.indexOf(`Usage:\u001b[22m ${path.basename(process.argv[1])} deploy [options]`) > -1);
+		});
+
+	});
+
+	describe('#addCommand()', () => {
+
+		function dCommands() {
+			const parser = dArg({
+				verbose: {
+					type:		'boolean',
+					short:		'v',
+					global:		true
+				},
+				token: {
+					type:		'string'
+				}
+			});
+			parser.addCommand('deploy', 'Deploy the application', {
+				env: {
+					enum:		['dev', 'prod'],
+					required:	true
+				}
+			});
+			parser.addCommand('db', 'Database tasks')
+			.addCommand('migrate', 'Run the migrations', {
+				dryRun: {
+					type:		'boolean'
+				}
+			});
+			return parser;
+		}
+
+		it('Should throw when the command name is invalid', () => {
+			assert.throws(
+				() => dArg({}).addCommand('$', 'test'),
+				testErrorMessage(/commands must match/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should throw when the command is registered twice', () => {
+			assert.throws(
+				() => {
+					const parser = dArg({});
+					parser.addCommand('test', 'test');
+					parser.addCommand('test', 'test');
+				},
+				testErrorMessage(/Duplicate command/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should parse the flags of a subcommand', () => {
+			assert.deepEqual(
+				dCommands().parse('--token abc deploy --env prod'),
+				{
+					token:			'abc',
+					env:			'prod',
+					__command__:	['deploy']
+				}
+			);
+		});
+
+		it('Should parse nested subcommands and inherit global flags', () => {
+			assert.deepEqual(
+				dCommands().parse('db migrate --dry-run -v'),
+				{
+					verbose:		true,
+					dryRun:			true,
+					__command__:	['db', 'migrate']
+				}
+			);
+		});
+
+		it('Should accept global flags before the subcommand', () => {
+			assert.deepEqual(
+				dCommands().parse('-v db migrate').verbose,
+				true
+			);
+		});
+
+		it('Should report an empty command path when no command was given', () => {
+			assert.deepEqual(
+				dCommands().parse('--token abc'),
+				{
+					token:			'abc',
+					__command__:	[]
+				}
+			);
+		});
+
+		it('Should not treat the value of a flag as a command', () => {
+			assert.deepEqual(
+				dCommands().parse('--token deploy'),
+				{
+					token:			'deploy',
+					__command__:	[]
+				}
+			);
+		});
+
+		it('Should reject flags of a subcommand in the parent', () => {
+			assert.throws(
+				() => dCommands().parse('--env prod deploy'),
+				testErrorMessage(/Unknown flag 'env'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should return false and remember the command when help was requested', () => {
+			const parser = dCommands();
+			assert.equal(parser.parse('db migrate --help'), false);
+			assert.equal(parser.activeParser, parser.commands.db.commands.migrate);
+		});
+
+		it('Should list the subcommands in the help', () => {
+			const help = dCommands().getHelpString();
+			assert(/Commands:\n {2}deploy +Deploy the application\n {2}db +Database tasks$/.test(help));
+		});
+
+	});
+
+	describe('prompting', () => {
+
+		function dPrompt(config, answers, options) {
+			const input = new stream.PassThrough();
+			const output = new stream.PassThrough();
+			let written = '';
+			output.on('data', data => {
+				written += data;
+			});
+			input.end(answers);
+			const parser = dArg(config, _.assign({prompt: {input, output}}, options));
+			parser.output = () => written;
+			return parser;
+		}
+
+		it('Should ask for missing required flags', () => {
+			const parser = dPrompt({
+				port: {
+					type:		'integer',
+					required:	true,
+					description:	'The port to listen on'
+				},
+				host: {
+					type:		'string',
+					required:	true
+				}
+			}, '8080\nlocalhost\n');
+			return parser.parseAsync('').then(values => {
+				assert.deepEqual(values, {port: 8080, host: 'localhost'});
+				assert.equal(parser.output(), 'The port to listen on (--port): --host: ');
+			});
+		});
+
+		it('Should not ask for flags that were set', () =>
+			dPrompt({
+				port: {
+					type:		'integer',
+					required:	true
+				}
+			}, '').parseArgvAsync(['--port', '80'])
+			.then(values => assert.deepEqual(values, {port: 80}))
+		);
+
+		it('Should ask again until the answer is valid', () => {
+			const parser = dPrompt({
+				port: {
+					type:		'integer',
+					required:	true,
+					max:		100
+				}
+			}, '\nabc\n1000\n80\n');
+			return parser.parseAsync('').then(values => {
+				assert.deepEqual(values, {port: 80});
+				const lines = parser.output().split('\n');
+				assert.equal(lines.length, 4);
+				assert.equal(lines[0], '--port: A value is required');
+				assert.equal(lines[1], '--port: Could not parse number from argument for \'port\'');
+				assert.equal(lines[2], '--port: Argument for \'port\' must be less or equal to 100');
+			});
+		});
+
+		it('Should offer the enum values as choices', () => {
+			const parser = dPrompt({
+				level: {
+					enum:		['info', 'debug'],
+					required:	true
+				},
+				mode: {
+					enum:		['fast', 'slow'],
+					required:	true
+				}
+			}, '2\nslow\n');
+			return parser.parseAsync('').then(values => {
+				assert.deepEqual(values, {level: 'debug', mode: 'slow'});
+				assert.equal(parser.output().indexOf('--level\n  1) info\n  2) debug\nChoose 1-2: '), 0);
+			});
+		});
+
+		it('Should hide the input of secret flags', () => {
+			const modes = [];
+			const parser = dPrompt({
+				password: {
+					type:		'string',
+					required:	true,
+					secret:		true
+				}
+			}, 'sekrit\x7f\x7fet\r');
+			const input = parser.options.prompt.input;
+			input.isTTY = true;
+			input.setRawMode = mode => modes.push(mode);
+			return parser.parseAsync('').then(values => {
+				assert.deepEqual(values, {password: 'sekret'});
+				assert.deepEqual(modes, [true, false]);
+				assert.equal(parser.output(), '--password: \n');
+			});
+		});
+
+		it('Should abort secret prompts on ctrl-c', () => {
+			const parser = dPrompt({
+				password: {
+					type:		'string',
+					required:	true,
+					secret:		true
+				}
+			}, 'sek\x03');
+			const input = parser.options.prompt.input;
+			input.isTTY = true;
+			input.setRawMode = _.noop;
+			return parser.parseAsync('').then(
+				() => assert.fail('Did not throw error'),
+				error => assert.equal(error.code, 'MISSING_REQUIRED')
+			);
+		});
+
+		it('Should ask for missing positional arguments and subcommand flags', () => {
+			const parser = dPrompt({}, 'prod\na.txt "b c.txt"\n');
+			parser.addCommand('deploy', 'Deploy', {
+				env: {
+					type:		'string',
+					required:	true
+				}
+			}, {
+				positionals: [{name: 'files...', required: true, description: 'The files'}]
+			});
+			return parser.parseAsync('deploy').then(values => {
+				assert.deepEqual(values, {env: 'prod', files: ['a.txt', 'b c.txt'], __command__: ['deploy']});
+				assert.equal(parser.output(), '--env: The files (<files>): ');
+			});
+		});
+
+		it('Should fail when the input ends', () =>
+			dPrompt({
+				port: {
+					type:		'integer',
+					required:	true
+				}
+			}, 'abc\n').parseAsync('').then(
+				() => assert.fail('Did not throw error'),
+				error => {
+					assert.equal(error.code, 'MISSING_REQUIRED');
+					assert.equal(error.flag, 'port');
+				}
+			)
+		);
+
+		it('Should reject prompted values that fail validation when collecting errors', () => {
+			const config = {
+				a: {
+					type:		'integer',
+					required:	true
+				},
+				b: {
+					type:		'integer',
+					required:	true
+				}
+			};
+			function validate(values) {
+				return {a: values.a > 3 && 'too big', b: values.b > 3 && 'too big'};
+			}
+			return Promise.all([
+				dPrompt(config, '5\n1\n', {collectErrors: true, validate}).parseAsync('').then(
+					() => assert.fail('Did not throw error'),
+					error => {
+						assert.equal(error.code, 'VALIDATION_FAILED');
+						assert.equal(error.flag, 'a');
+					}
+				),
+				dPrompt(config, '5\n5\n', {collectErrors: true, validate}).parseAsync('').then(
+					() => assert.fail('Did not throw error'),
+					error => {
+						assert.equal(error.code, 'MULTIPLE_ERRORS');
+						assert.deepEqual(_.map(error.errors, 'flag'), ['a', 'b']);
+					}
+				),
+				dPrompt(config, '1\n1\n', {collectErrors: true, validate}).parseAsync('')
+					.then(values => assert.deepEqual(values, {a: 1, b: 1}))
+			]);
+		});
+
+		it('Should check the relations and conditions of prompted values', () => {
+			function config(c) {
+				return {
+					a: {
+						type:		'string',
+						required:	true,
+						conflicts:	'b'
+					},
+					b: {
+						type:		'string'
+					},
+					c: _.assign({
+						type:		'string',
+						required:	true
+					}, c),
+					d: {
+						type:		'string'
+					},
+					e: {
+						type:		'string',
+						requiredIf:	{c: 'y'}
+					}
+				};
+			}
+			return Promise.all([
+				dPrompt(config(), 'a\n').parseAsync('--b x --c y --e z').then(
+					() => assert.fail('Did not throw error'),
+					error => assert.equal(error.code, 'CONFLICTING_FLAGS')
+				),
+				dPrompt(config({requires: 'd'}), 'c\n').parseAsync('--a a').then(
+					() => assert.fail('Did not throw error'),
+					error => assert.equal(error.code, 'MISSING_DEPENDENCY')
+				),
+				dPrompt(config({requires: 'd', implies: {e: 'x'}}), 'c\n').parseAsync('--a a --d z')
+					.then(values => assert.deepEqual(values, {a: 'a', c: 'c', d: 'z', e: 'x'})),
+				dPrompt(config(), 'y\n').parseAsync('--a a').then(
+					() => assert.fail('Did not throw error'),
+					error => assert.equal(error.message, 'Flag \'e\' is required if \'c\' is \'y\' but was not set')
+				)
+			]);
+		});
+
+		it('Should not ask when prompting is disabled or stdin is not a TTY', () => {
+			const isTTY = process.stdin.isTTY;
+			process.stdin.isTTY = false;
+			const config = {
+				port: {
+					type:		'integer',
+					required:	true
+				}
+			};
+			const promises = [
+				dArg(_.cloneDeep(config)).parseAsync(''),
+				dArg(_.cloneDeep(config), {prompt: true}).parseAsync('')
+			].map(promise => promise.then(
+				() => assert.fail('Did not throw error'),
+				error => assert.equal(error.code, 'MISSING_REQUIRED')
+			));
+			process.stdin.isTTY = isTTY;
+			return Promise.all(promises);
+		});
+
+		it('Should reject other errors and resolve false for help without asking', () => {
+			const config = {
+				port: {
+					type:		'integer',
+					required:	true
+				}
+			};
+			return Promise.all([
+				dPrompt(_.cloneDeep(config), '').parseAsync('--port abc').then(
+					() => assert.fail('Did not throw error'),
+					error => assert.equal(error.code, 'INVALID_TYPE')
+				),
+				dPrompt(_.cloneDeep(config), '').parseAsync('"').then(
+					() => assert.fail('Did not throw error'),
+					error => assert.equal(error.code, 'UNTERMINATED_QUOTE')
+				),
+				dPrompt(_.cloneDeep(config), '').parseAsync('--help').then(values => assert.equal(values, false))
+			]);
+		});
+
+		it('Should pipe process.argv', () => {
+			const oldArgv = process.argv;
+			process.argv = ['node', 'prog', '--port', '1'];
+			const promise = dPrompt({
+				port: {
+					type:		'integer',
+					required:	true
+				}
+			}, '').runAsync();
+			process.argv = oldArgv;
+			return promise.then(values => assert.deepEqual(values, {port: 1}));
+		});
+
+	});
+
+	describe('JSON Schema', () => {
+
+		it('Should export the flags as JSON Schema', () => {
+			const parser = dArg({
+				port: {
+					type:		'integer',
+					min:		1,
+					max:		65535,
+					default:	80,
+					short:		'p',
+					description:	'The port'
+				},
+				name: {
+					type:		'string',
+					regex:		/^\w+$/,
+					required:	true,
+					env:		'APP_NAME'
+				},
+				level: {
+					enum:		['info', 'debug']
+				},
+				ratios: {
+					type:		'array',
+					subType:	'number',
+					max:		1
+				},
+				input: {
+					type:		'file'
+				},
+				verbose: {
+					type:		'count',
+					max:		3
+				},
+				tag: {
+					type:		'string',
+					multiple:	true
+				},
+				color: {
+					type:		'boolean'
+				}
+			}, {configFile: '.testrc'});
+			assert.deepEqual(parser.toJSONSchema(), {
+				$schema:	'http://json-schema.org/draft-07/schema#',
+				description:	'test',
+				type:		'object',
+				properties: {
+					port:		{type: 'integer', minimum: 1, maximum: 65535, default: 80, 'x-short': 'p',
+						description: 'The port'},
+					name:		{type: 'string', pattern: '^\\w+$', 'x-env': 'APP_NAME'},
+					level:		{enum: ['info', 'debug']},
+					ratios:		{type: 'array', items: {type: 'number', maximum: 1}},
+					input:		{type: 'string', 'x-type': 'file'},
+					verbose:	{type: 'integer', 'x-type': 'count', minimum: 0, maximum: 3},
+					tag:		{type: 'array', items: {type: 'string'}, 'x-multiple': true},
+					color:		{type: 'boolean'}
+				},
+				required:	['name'],
+				additionalProperties: false
+			});
+		});
+
+		it('Should build a parser from JSON Schema', () => {
+			const schema = {
+				description:	'test',
+				type:		'object',
+				properties: {
+					port:		{type: 'integer', minimum: 1, maximum: 65535, default: 80, 'x-short': 'p'},
+					name:		{type: 'string', pattern: '^\\w+$', 'x-env': 'APP_NAME'},
+					level:		{enum: ['info', 'debug']},
+					ratios:		{type: 'array', items: {type: 'number', maximum: 1}},
+					verbose:	{type: 'integer', 'x-type': 'count', minimum: 0, maximum: 3},
+					tag:		{type: 'array', items: {type: 'string'}, 'x-multiple': true},
+					color:		{type: 'boolean'}
+				},
+				required:	['name']
+			};
+			const parser = ArgumentParser.fromJSONSchema(schema, {env: {APP_NAME: 'app'}});
+			assert.equal(parser.description, 'test');
+			assert.deepEqual(
+				parser.parse('-p 8080 --level debug --ratios 0.5,1 --tag a --tag b --verbose --verbose --color'),
+				{
+					port:		8080,
+					name:		'app',
+					level:		'debug',
+					ratios:		[0.5, 1],
+					verbose:	2,
+					tag:		['a', 'b'],
+					color:		true
+				}
+			);
+			assert.throws(
+				() => parser.parse('--name app --port 0'),
+				testErrorMessage(/must be between/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => parser.parse('--name a-b'),
+				testErrorMessage(/match/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => ArgumentParser.fromJSONSchema(schema).parse(''),
+				testErrorMessage(/Flag 'name' is required/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should default to strings and ignore the config file flag', () => {
+			const parser = ArgumentParser.fromJSONSchema({
+				properties: {
+					name:	{}
+				}
+			}, {configFile: {name: '.testrc', flag: 'settings'}});
+			assert.equal(parser.config.name.type, 'string');
+			assert.deepEqual(_.keys(parser.toJSONSchema().properties), ['name']);
+		});
+
+		it('Should throw for unsupported schemas', () => {
+			assert.throws(
+				() => ArgumentParser.fromJSONSchema({type: 'array'}),
+				testErrorMessage(/Invalid schema, must describe an object/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => ArgumentParser.fromJSONSchema({properties: {db: {type: 'null'}}}),
+				testErrorMessage(/Unsupported type 'null' of property 'db'/),
+				'Did not throw error'
+			);
+			assert.throws(
+				() => ArgumentParser.fromJSONSchema({properties: {list: {type: 'array', items: {type: 'array'}}}}),
+				testErrorMessage(/Unsupported items of property 'list'/),
+				'Did not throw error'
+			);
+		});
+
+	});
+
+	describe('documentation', () => {
+
+		function dDocs() {
+			const parser = dArg({
+				port: {
+					type:		'integer',
+					short:		'p',
+					default:	80,
+					description:	'The port-number'
+				},
+				token: {
+					type:		'string',
+					required:	true,
+					env:		'APP_TOKEN',
+					description:	'Access token | secret'
+				}
+			}, {
+				positionals: [{name: 'files...', type: 'file', description: 'Files to upload'}],
+				examples: [
+					'myapp -p 8080',
+					{command: 'myapp deploy', description: 'Deploy the application'}
+				],
+				epilog: 'Report bugs on GitHub.'
+			});
+			parser.addCommand('deploy', 'Deploy the application', {
+				env: {
+					enum:		['dev', 'prod']
+				}
+			});
+			return parser;
+		}
+
+		it('Should generate a man page', () => {
+			const man = dDocs().getManPage('myapp');
+			assert.equal(
+				man.indexOf('.TH MYAPP 1\n.SH NAME\nmyapp \\- test\n.SH SYNOPSIS\n' +
+					'.B myapp\n[options] <command> [files...]\n'),
+				0
+			);
+			assert(man.indexOf('.TP\n.B \\-p, \\-\\-port\nThe port\\-number\n.br\ntype: integer, default: 80\n') > -1);
+			assert(man.indexOf('.B \\-\\-token\nAccess token | secret\n.br\ntype: string, required') > -1);
+			assert(man.indexOf('.TP\n.I files...\nFiles to upload\n.br\ntype: file\n') > -1);
+			assert(man.indexOf('.SH COMMANDS\n.SS "myapp deploy [options]"\nDeploy the application\n.TP\n') > -1);
+			assert(man.indexOf('.SH EXAMPLES\n.PP\n.RS\n.nf\nmyapp \\-p 8080\n.fi\n.RE\n') > -1);
+			assert(man.indexOf('.PP\nDeploy the application\n.PP\n.RS\n.nf\nmyapp deploy\n.fi\n.RE\n') > -1);
+			assert(/\.SH NOTES\nReport bugs on GitHub\.\n$/.test(man));
+		});
+
+		it('Should use the man page section and escape roff control characters', () => {
+			const man = dArg({}, {epilog: '.hidden\n\'quoted\nC:\\path'}).getManPage('myapp', 8);
+			assert(/^\.TH MYAPP 8\n/.test(man));
+			assert(man.indexOf('\\&.hidden\n\\&\'quoted\nC:\\epath') > -1);
+			assert.equal(man.indexOf('.SH COMMANDS'), -1);
+			assert.equal(man.indexOf('.SH EXAMPLES'), -1);
+		});
+
+		it('Should generate a Markdown reference', () => {
+			const markdown = dDocs().getMarkdown('myapp');
+			assert.equal(markdown.indexOf('# myapp\n\ntest\n\n## Synopsis\n\n```\nmyapp [options] <command>'), 0);
+			assert(markdown.indexOf('| `-p`, `--port` | integer | `80` |  |  | The port-number |') > -1);
+			assert(markdown.indexOf('| `--token` | string |  | yes | `APP_TOKEN` | Access token \\| secret |') > -1);
+			assert(markdown.indexOf('## Arguments\n\n| Name |') > -1);
+			assert(markdown.indexOf('| `files...` | file |  |  |  | Files to upload |') > -1);
+			assert(markdown.indexOf('### myapp deploy\n\nDeploy the application\n\n```\nmyapp deploy') > -1);
+			assert(markdown.indexOf('#### Options') > -1);
+			assert(markdown.indexOf('## Examples\n\n```sh\nmyapp -p 8080\n```\n\nDeploy the application\n\n') > -1);
+			assert(/## Notes\n\nReport bugs on GitHub\.\n$/.test(markdown));
+		});
+
+		it('Should default the program name to the name of the script', () => {
+			const oldArgv = process.argv;
+			process.argv = ['node', '/usr/local/bin/myapp'];
+			const man = dArg({}).getManPage();
+			const markdown = dArg({}).getMarkdown();
+			process.argv = oldArgv;
+			assert(/^\.TH MYAPP 1\n/.test(man));
+			assert.equal(man.indexOf('.SH NOTES'), -1);
+			assert(/^# myapp\n/.test(markdown));
+		});
+
+		it('Should default the program name to the executable without a script', () => {
+			const oldArgv = process.argv;
+			process.argv = ['node'];
+			const man = dArg({}).getManPage();
+			const markdown = dArg({}).getMarkdown();
+			process.argv = oldArgv;
+			const name = path.basename(process.execPath);
+			assert.equal(man.indexOf(`.TH ${name.toUpperCase()} 1\n`), 0);
+			assert.equal(markdown.indexOf(`# ${name}\n`), 0);
+		});
+
+	});
+
+	describe('shell completion', () => {
+
+		function dCompletion() {
+			const parser = dArg({
+				level: {
+					enum:		['info', 'debug'],
+					short:		'l'
+				},
+				input: {
+					type:		'file',
+					description:	'Input file'
+				},
+				color: {
+					type:		'boolean'
+				},
+				branch: {
+					type:		'string',
+					complete:	current => ['master', 'develop'].filter(branch => branch.startsWith(current))
+				}
+			});
+			parser.addCommand('deploy', 'Deploy the application', {
+				target: {
+					type:		'string',
+					complete:	() => Promise.resolve(['staging', 'production'])
+				}
+			});
+			return parser;
+		}
+
+		it('Should throw when complete is not a function', () => {
+			assert.throws(
+				() => dArg({
+					test: {
+						complete:	['a']
+					}
+				}),
+				testErrorMessage(/Invalid argument to 'complete'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should throw for unsupported shells', () => {
+			assert.throws(
+				() => dCompletion().getCompletionScript('tcsh', 'prog'),
+				testErrorMessage(/Unsupported shell 'tcsh'/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should complete flags, enum values, files and commands in bash', () => {
+			const script = dCompletion().getCompletionScript('bash', 'prog');
+			assert(script.indexOf('complete -o default -F _prog_completion prog') > -1);
+			assert(script.indexOf('\'--level -l --input --color --no-color --branch --help\'') > -1);
+			assert(script.indexOf('--level|-l) COMPREPLY=($(compgen -W \'info debug\' -- "$cur")); return 0;;') > -1);
+			assert(script.indexOf('--input) COMPREPLY=($(compgen -f -- "$cur")); return 0;;') > -1);
+			assert(script.indexOf('--get-completions \'\' branch "$cur"') > -1);
+			assert(script.indexOf('--get-completions \'deploy\' target "$cur"') > -1);
+			assert(script.indexOf('" deploy") cmdpath="$cmdpath $word";;') > -1);
+		});
+
+		it('Should complete flags, enum values, files and commands in zsh', () => {
+			const script = dCompletion().getCompletionScript('zsh', 'prog');
+			assert(/^#compdef prog\n/.test(script));
+			assert(script.indexOf('--level|-l) compadd -- \'info\' \'debug\'; return;;') > -1);
+			assert(script.indexOf('--input) _files; return;;') > -1);
+			assert(script.indexOf('compadd -- \'deploy\'') > -1);
+			assert(/compdef _prog prog\n$/.test(script));
+		});
+
+		it('Should complete flags, enum values, files and commands in fish', () => {
+			const script = dCompletion().getCompletionScript('fish', 'my-prog');
+			const prefix = 'complete -c my-prog -n \'__my_prog_using_path \\\'\\\'\'';
+			assert(script.indexOf(`${prefix} -l level -s l -x -a 'info debug'`) > -1);
+			assert(script.indexOf(`${prefix} -l input -r -F -d 'Input file'`) > -1);
+			assert(script.indexOf(`${prefix} -l color -l no-color`) > -1);
+			assert(script.indexOf(`${prefix} -f -a 'deploy' -d 'Deploy the application'`) > -1);
+			assert(script.indexOf('complete -c my-prog -n \'__my_prog_using_path \\\' deploy\\\'\' -l target') > -1);
+			assert(script.indexOf([
+				'function __my_prog_dynamic',
+				'\tset -l prog (commandline -opc)[1]',
+				'\tset -l current (commandline -ct)',
+				'\t$prog --get-completions "$argv[1]" "$argv[2]" "$current"',
+				'end'
+			].join('\n')) > -1);
+			assert(script.indexOf(`${prefix} -l branch -x -a '(__my_prog_dynamic \\'\\' branch)'`) > -1);
+			assert.equal(script.indexOf('((commandline'), -1);
+		});
+
+		it('Should default the program name to the name of the script', () => {
+			const oldArgv = process.argv;
+			process.argv = ['node', '/usr/local/bin/prog'];
+			const script = dCompletion().getCompletionScript('bash');
+			process.argv = oldArgv;
+			assert(/complete -o default -F _prog_completion prog\n$/.test(script));
+		});
+
+		it('Should default the program name to the executable without a script', () => {
+			const oldArgv = process.argv;
+			process.argv = ['node'];
+			const script = dCompletion().getCompletionScript('zsh');
+			process.argv = oldArgv;
+			assert(script.indexOf('#compdef ' + path.basename(process.execPath)) === 0);
+		});
+
+		it('Should answer completion queries using the complete function', () =>
+			dCompletion().getCompletions('', 'branch', 'de')
+			.then(values => assert.deepEqual(values, ['develop']))
+		);
+
+		it('Should answer completion queries of subcommands and wait for promises', () =>
+			dCompletion().getCompletions('deploy', 'target', '')
+			.then(values => assert.deepEqual(values, ['staging', 'production']))
+		);
+
+		it('Should answer completion queries for unknown flags and commands with nothing', () => {
+			const parser = dCompletion();
+			return Promise.all([
+				parser.getCompletions('', 'level', ''),
+				parser.getCompletions('nope', 'target', '')
+			])
+			.then(values => assert.deepEqual(values, [[], []]));
+		});
+
+		it('Should answer completion queries passed to run on stdout', () => {
+			const oldArgv = process.argv;
+			const oldWrite = process.stdout.write;
+			let output = '';
+			process.argv = ['node', 'prog', '--get-completions', '', 'branch', ''];
+			process.stdout.write = str => {
+				output += str;
+			};
+			const ret = dCompletion().run();
+			process.argv = oldArgv;
+			return new Promise(resolve => setImmediate(resolve))
+			.then(() => {
+				process.stdout.write = oldWrite;
+				assert.equal(ret, false);
+				assert.equal(output, 'master\ndevelop\n');
+			});
+		});
+
+		it('Should report errors of the complete function passed to run on stderr', () => {
+			const oldArgv = process.argv;
+			const oldWrite = process.stderr.write;
+			let output = '';
+			process.argv = ['node', 'prog', '--get-completions', '', 'branch', ''];
+			process.stderr.write = str => {
+				output += str;
+			};
+			dArg({
+				branch: {
+					complete:	() => Promise.reject(new Error('git not found'))
+				}
+			}).run();
+			process.argv = oldArgv;
+			return new Promise(resolve => setImmediate(resolve))
+			.then(() => {
+				process.stderr.write = oldWrite;
+				assert.equal(output, 'Completion failed: git not found\n');
+			});
+		});
+
+	});
+
+	describe('#run()', () => {
+
+		it('Correctly pipes process.argv', () => {
+			const oldArgv = process.argv;
+			process.argv = ['program', 'other', '--test', '1'];
+			assert.equal(
+				dArg({
+					test: {
+						type:	'integer'
+					}
+				}).run().test,
+				1
+			);
+			process.argv = oldArgv;
+		});
+
+		it('Does not mangle arguments containing quotes and whitespace', () => {
+			const oldArgv = process.argv;
+			process.argv = ['program', 'other', '--test', 'say "hello world"'];
+			assert.equal(
+				dArg({
+					test: {
+						type:	'string'
+					}
+				}).run().test,
+				'say "hello world"'
+			);
+			process.argv = oldArgv;
+		});
+
+	});
+
+	describe('#runAndExit()', () => {
+
+		function createIo(argv) {
+			const io = {
+				argv,
+				programName:	'prog',
+				out:			'',
+				err:			'',
+				codes:			[]
+			};
+			io.stdout = {write: str => {
+				io.out += str;
+			}};
+			io.stderr = {write: str => {
+				io.err += str;
+			}};
+			io.exit = code => io.codes.push(code);
+			return io;
+		}
+
+		function dApp(options) {
+			const parser = dArg({
+				port: {
+					type:	'integer'
+				}
+			}, _.assign({version: '1.2.3'}, options));
+			parser.addCommand('deploy', 'Deploy the application', {
+				target: {
+					type:		'string',
+					required:	true
+				}
+			});
+			return parser;
+		}
+
+		it('Should default the program name to the executable without a script', () => {
+			const io = createIo(['--port', 'x']);
+			delete io.programName;
+			const oldArgv = process.argv;
+			process.argv = ['node'];
+			try {
+				dApp().runAndExit(io);
+			} finally {
+				process.argv = oldArgv;
+			}
+			assert.equal(io.err.indexOf(path.basename(process.execPath) + ': '), 0);
+			assert.deepEqual(io.codes, [2]);
+		});
+
+		it('Should not read the version flag from environment variables and config files', () => {
+			const parser = dArg({
+				port: {
+					type:	'integer'
+				}
+			}, {version: '1.2.3', envPrefix: 'MYAPP', env: {MYAPP_VERSION: '2.3.4', MYAPP_PORT: '80'}, configFile: {}});
+			assert.deepEqual(parser.parse(''), {port: 80});
+			assert.deepEqual(parser.parse('--config test/version_config.json'), {
+				port:	80,
+				config:	'test/version_config.json'
+			});
+			assert.equal(parser.getFlagHelpInfo('version').env, '');
+			assert.equal(parser.getFlagHelpInfo('port').env, 'MYAPP_PORT');
+			const own = dArg({
+				version: {
+					type:	'integer'
+				}
+			}, {envPrefix: 'MYAPP', env: {MYAPP_VERSION: '3'}});
+			assert.deepEqual(own.parse(''), {version: 3});
+		});
+
+		it('Should throw for invalid versions', () => {
+			assert.throws(
+				() => dArg({}, {version: 1}),
+				testErrorMessage(/Invalid argument to 'version', must be a string or true/),
+				'Did not throw error'
+			);
+		});
+
+		it('Should return the values without exiting', () => {
+			const io = createIo(['--port', '80', 'deploy', '--target', 'prod']);
+			assert.deepEqual(dApp().runAndExit(io), {port: 80, target: 'prod', __command__: ['deploy']});
+			assert.deepEqual(io.codes, []);
+			assert.equal(io.out + io.err, '');
+		});
+
+		it('Should print the version and exit', () => {
+			const io = createIo(['--port', 'x', '--version']);
+			assert.strictEqual(dApp().runAndExit(io), false);
+			assert.equal(io.out, '1.2.3\n');
+			assert.deepEqual(io.codes, [0]);
+		});
+
+		it('Should read the version from the nearest package.json', () => {
+			const argv = process.argv;
+			process.argv = ['node', path.join(__dirname, 'bin', 'prog')];
+			try {
+				assert.equal(dApp({version: true}).getVersion(), require('../package.json').version);
+			} finally {
+				process.argv = argv;
+			}
+		});
+
+		it('Should resolve symlinked scripts before searching the package.json', () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'argument-parser-'));
+			const argv = process.argv;
+			fs.mkdirSync(path.join(dir, 'pkg'));
+			fs.mkdirSync(path.join(dir, 'bin'));
+			fs.writeFileSync(path.join(dir, 'pkg', 'package.json'), '{"version": "4.5.6"}');
+			fs.writeFileSync(path.join(dir, 'pkg', 'cli.js'), '');
+			fs.symlinkSync(path.join(dir, 'pkg', 'cli.js'), path.join(dir, 'bin', 'prog'));
+			process.argv = ['node', path.join(dir, 'bin', 'prog')];
+			try {
+				assert.equal(dApp({version: true}).getVersion(), '4.5.6');
+			} finally {
+				process.argv = argv;
+				removeDir(dir);
+			}
+		});
+
+		it('Should only add the version flag if the version option is set', () => {
+			const io = createIo(['--version']);
+			dArg({}).runAndExit(io);
+			assert.equal(io.err, 'prog: Unknown flag \'version\'\nRun \'prog --help\' for usage.\n');
+			assert.deepEqual(io.codes, [2]);
+			assert.deepEqual(dArg({version: {type: 'string'}}).parse('--version 2'), {version: '2'});
+			assert(dApp().getHelpString('prog').indexOf('--version  Show the version') > -1);
+			assert.equal(dApp().toJSONSchema().properties.version, undefined);
+		});
+
+		it('Should print the help of the requested command and exit', () => {
+			const io = createIo(['deploy', '--help']);
+			assert.strictEqual(dApp().runAndExit(io), false);
+			assert.equal(io.out, dApp().commands.deploy.getHelpString('prog') + '\n');
+			assert(/^Usage: prog deploy \[options\]\n/.test(io.out));
+			assert.deepEqual(io.codes, [0]);
+		});
+
+		it('Should print errors and exit with 2', () => {
+			const io = createIo(['deploy', '--port', '1']);
+			assert.strictEqual(dApp({collectErrors: true}).runAndExit(io), false);
+			assert.equal(io.err, [
+				'prog: Unknown flag \'port\'',
+				'Flag \'target\' is required but was not set',
+				'Run \'prog deploy --help\' for usage.',
+				''
+			].join('\n'));
+			assert.equal(io.out, '');
+			assert.deepEqual(io.codes, [2]);
+		});
+
+		it('Should throw unexpected errors', () => {
+			const io = createIo(['--colorize']);
+			assert.throws(
+				() => dArg({
+					color: {
+						type:		'boolean',
+						deprecated:	'colorize'
+					}
+				}, {
+					onWarning: () => {
+						throw new TypeError('broken handler');
+					}
+				}).runAndExit(io),
+				error => error instanceof TypeError,
+				'Did not throw error'
+			);
+			assert.deepEqual(io.codes, []);
+		});
+
+		it('Should answer completion queries and exit', done => {
+			const io = createIo(['--get-completions', '', 'level', 'd']);
+			io.exit = code => {
+				assert.equal(code, 0);
+				assert.equal(io.out, 'debug\n');
+				done();
+			};
+			dArg({
+				level: {
+					type:		'string',
+					complete:	current => ['info', 'debug'].filter(level => level.indexOf(current) === 0)
+				}
+			}).runAndExit(io);
+		});
+
+		it('Should report errors of completion queries and exit with 1', done => {
+			const io = createIo(['--get-completions', '', 'level', 'd']);
+			io.exit = code => {
+				assert.equal(code, 1);
+				assert.equal(io.out, '');
+				assert.equal(io.err, 'Completion failed: no levels\n');
+				done();
+			};
+			dArg({
+				level: {
+					type:		'string',
+					complete:	() => {
+						throw new Error('no levels');
+					}
+				}
+			}).runAndExit(io);
 		});
 
 	});